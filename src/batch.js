@@ -0,0 +1,90 @@
+// @flow
+
+import { EMPTY_HASH, getBucket, xorHashes } from './hash-tree';
+
+/**
+ * Class representing writes to a namespace which are committed as a single LevelDB batch
+ *
+ * Reads using `get()` include values written to the batch but not yet committed.
+ */
+export default class Batch {
+  declare db: Object;
+  declare namespace: string;
+  declare operations: Array<Object>;
+  declare values: Map<string, any>;
+  declare hashTreeDeltas: Map<string, string>;
+
+  constructor(db:Object, namespace:string) {
+    this.db = db;
+    this.namespace = namespace;
+    this.operations = [];
+    this.values = new Map();
+    this.hashTreeDeltas = new Map();
+  }
+
+  get length():number {
+    return this.operations.length;
+  }
+
+  async get(key:string):Promise<any> { // eslint-disable-line consistent-return
+    if (this.values.has(key)) {
+      return this.values.get(key);
+    }
+    try {
+      const value = await this.db.get(key);
+      return value;
+    } catch (error) {
+      if (error.notFound) {
+        return; // eslint-disable-line consistent-return
+      }
+      throw error;
+    }
+  }
+
+  put(key:string, value:any) {
+    this.values.set(key, value);
+    this.operations.push({ type: 'put', key, value });
+  }
+
+  del(key:string) {
+    this.values.set(key, undefined);
+    this.operations.push({ type: 'del', key });
+  }
+
+  /**
+   * Add or remove an entry from the hash tree. Leaf hashes are read and updated when the batch is committed.
+   * @param {string} identity - Entry identity, `>${key}` for pairs or `<${id}` for deletions
+   * @param {string} [previousEntryHash] - Hash of the entry being removed or replaced
+   * @param {string} [entryHash] - Hash of the entry being added
+   * @return {void}
+   */
+  updateHashTree(identity:string, previousEntryHash?:string, entryHash?:string) {
+    const bucket = getBucket(identity);
+    let delta = this.hashTreeDeltas.get(bucket) || EMPTY_HASH;
+    if (previousEntryHash) {
+      delta = xorHashes(delta, previousEntryHash);
+    }
+    if (entryHash) {
+      delta = xorHashes(delta, entryHash);
+      this.put(`${this.namespace}%${bucket}${identity}`, entryHash);
+    } else {
+      this.del(`${this.namespace}%${bucket}${identity}`);
+    }
+    this.hashTreeDeltas.set(bucket, delta);
+  }
+
+  /**
+   * Write all operations and hash tree leaves. Batches which update the hash tree should be committed one at a time.
+   * @return {Promise<void>}
+   */
+  async commit():Promise<void> {
+    for (const [bucket, delta] of this.hashTreeDeltas) {
+      const hash = await this.get(`${this.namespace}#${bucket}`);
+      this.put(`${this.namespace}#${bucket}`, xorHashes(hash || EMPTY_HASH, delta));
+    }
+    this.hashTreeDeltas.clear();
+    if (this.operations.length > 0) {
+      await this.db.batch(this.operations);
+    }
+  }
+}
@@ -0,0 +1,417 @@
+// @flow
+
+import PQueue from 'p-queue';
+import EventEmitter from 'events';
+import generateId from './generate-id';
+import Batch from './batch';
+
+type Options = {
+  bufferPublishing?:number,
+  namespace?: string,
+  replicaId?: string
+};
+
+type Counts = { [string]: [number, number] };
+
+const getTotal = (counts:Counts, floors:Counts):number => {
+  let total = 0;
+  for (const replicaId of Object.keys(counts)) {
+    const [positive, negative] = counts[replicaId];
+    const [positiveFloor, negativeFloor] = floors[replicaId] || [0, 0];
+    total += positive - positiveFloor - negative + negativeFloor;
+  }
+  return total;
+};
+
+const isPresent = (counts:Counts, floors:Counts):boolean => Object.keys(counts).some((replicaId) => {
+  const [positive, negative] = counts[replicaId];
+  const [positiveFloor, negativeFloor] = floors[replicaId] || [0, 0];
+  return positive > positiveFloor || negative > negativeFloor;
+});
+
+const mergeCounts = (counts:Counts, replicaId:string, positive:number, negative:number):boolean => {
+  const [currentPositive, currentNegative] = counts[replicaId] || [0, 0];
+  if (positive <= currentPositive && negative <= currentNegative) {
+    return false;
+  }
+  counts[replicaId] = [Math.max(positive, currentPositive), Math.max(negative, currentNegative)]; // eslint-disable-line no-param-reassign
+  return true;
+};
+
+/**
+ * Class representing an Observed Remove Counter Map
+ *
+ * Values are PN-counters. Each replica increments and decrements its own positive and negative totals,
+ * stored at `>${key}` as `{ [replicaId]: [positive, negative] }`, and publishes them as insertions of
+ * `[key, replicaId, positive, negative]`. Replicas merge totals by taking the maximum, so concurrent
+ * increments are never lost and messages may be processed more than once or out of order.
+ *
+ * Deleting a key publishes the observed totals as deletions, stored at `<${key}`. The value of a key is
+ * the sum of all totals less the deleted totals, and a key is present if any replica has incremented or
+ * decremented it since it was last deleted.
+ */
+export default class ObservedRemoveCounterMap extends EventEmitter {
+  declare bufferPublishing: number;
+  declare deleteQueue: Array<*>;
+  declare insertQueue: Array<*>;
+  declare publishTimeout: null | TimeoutID;
+  declare readyPromise: Promise<void>;
+  declare db: Object;
+  declare namespace: string;
+  declare prefixLength: number;
+  declare replicaId: string;
+  declare replicaIdPromise: Promise<void>;
+  declare size: number;
+  declare processQueue: PQueue;
+  declare dequeueQueue: PQueue;
+
+  constructor(db:Object, entries?: Iterable<[string, number]>, options?:Options = {}) {
+    super();
+    this.db = db;
+    this.namespace = options.namespace || '';
+    this.prefixLength = this.namespace.length + 1;
+    this.bufferPublishing = typeof options.bufferPublishing === 'undefined' ? 0 : options.bufferPublishing;
+    this.replicaId = options.replicaId || '';
+    this.publishTimeout = null;
+    this.insertQueue = [];
+    this.deleteQueue = [];
+    this.size = 0;
+    this.processQueue = new PQueue({ concurrency: 1 });
+    this.dequeueQueue = new PQueue();
+    // Writes wait for the replica id, as writes under an empty id would overwrite those of other replicas
+    this.replicaIdPromise = this.loadReplicaId();
+    this.readyPromise = (async () => {
+      await this.replicaIdPromise;
+      await this.updateSize();
+      const promises = [];
+      if (entries) {
+        for (const [key, delta] of entries) {
+          promises.push(this.increment(key, delta));
+        }
+      }
+      await Promise.all(promises);
+    })();
+  }
+
+  /**
+   * Load the id used for the map's own totals, generating and storing one if none was provided.
+   * @return {Promise<void>}
+   */
+  async loadReplicaId() {
+    if (this.replicaId) {
+      return;
+    }
+    try {
+      this.replicaId = await this.db.get(`${this.namespace}!replica`);
+    } catch (error) {
+      if (!error.notFound) {
+        throw error;
+      }
+      this.replicaId = generateId();
+      await this.db.put(`${this.namespace}!replica`, this.replicaId);
+    }
+  }
+
+  async updateSize() {
+    let size = 0;
+    for await (const [key, counts] of this.counts()) {
+      if (isPresent(counts, await this.getFloors(key))) {
+        size += 1;
+      }
+    }
+    this.size = size;
+  }
+
+  dequeue() {
+    return this.dequeueQueue.add(() => this._dequeue()); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _dequeue() {
+    if (this.publishTimeout) {
+      return;
+    }
+    if (this.bufferPublishing > 0) {
+      this.publishTimeout = setTimeout(() => this.dequeueQueue.add(() => this.publish()), this.bufferPublishing);
+    } else {
+      await this.publish();
+    }
+  }
+
+  async publish() {
+    this.publishTimeout = null;
+    const insertQueue = this.insertQueue;
+    const deleteQueue = this.deleteQueue;
+    this.insertQueue = [];
+    this.deleteQueue = [];
+    await this.sync([insertQueue, deleteQueue]);
+  }
+
+  /**
+   * Emit a 'publish' event containing a specified queue or all of the map's totals and deleted totals.
+   * @param {Array<Array<any>>} queue - Array of insertions and deletions
+   * @return {void}
+   */
+  async sync(queue?: [Array<*>, Array<*>]) {
+    if (queue) {
+      this.emit('publish', queue);
+    } else {
+      this.emit('publish', await this.dump());
+    }
+  }
+
+  async getFloors(key:string):Promise<Counts> {
+    try {
+      const floors = await this.db.get(`${this.namespace}<${key}`);
+      return floors;
+    } catch (error) {
+      if (error.notFound) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async* counts(gt?:string = `${this.namespace}>`, lt?:string = `${this.namespace}?`):AsyncGenerator<[string, Counts], void, void> {
+    const iterator = this.db.iterator({ gt, lt });
+    try {
+      while (true) { // eslint-disable-line  no-constant-condition
+        const [key, counts] = await new Promise((resolve, reject) => {
+          iterator.next((error:Error | void, k: string | void, v: Counts | void) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve([k, v]);
+            }
+          });
+        });
+        if (key && counts) {
+          yield [key.slice(this.prefixLength), counts];
+        } else {
+          break;
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => {
+        iterator.end((error:Error | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Return an array containing all of the map's totals and deleted totals.
+   * @return {[Array<*>, Array<*>]>}
+   */
+  async dump():Promise<[Array<*>, Array<*>]> {
+    const insertions = [];
+    const deletions = [];
+    for await (const [key, counts] of this.counts()) {
+      for (const replicaId of Object.keys(counts)) {
+        insertions.push([key, replicaId, ...counts[replicaId]]);
+      }
+    }
+    for await (const [key, floors] of this.counts(`${this.namespace}<`, `${this.namespace}=`)) {
+      for (const replicaId of Object.keys(floors)) {
+        deletions.push([key, replicaId, ...floors[replicaId]]);
+      }
+    }
+    return [insertions, deletions];
+  }
+
+  process(queue:[Array<*>, Array<*>]) {
+    return this.processQueue.add(() => this._process(queue)); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _process(queue:[Array<*>, Array<*>]) {
+    const [insertions, deletions] = queue;
+    const batch = new Batch(this.db, this.namespace);
+    const changes:Map<string, [Counts, Counts, Counts, Counts]> = new Map();
+    const getChange = async (key:string) => {
+      let change = changes.get(key);
+      if (!change) {
+        const counts = (await batch.get(`${this.namespace}>${key}`)) || {};
+        const floors = (await batch.get(`${this.namespace}<${key}`)) || {};
+        change = [Object.assign({}, counts), Object.assign({}, floors), counts, floors];
+        changes.set(key, change);
+      }
+      return change;
+    };
+    for (const [key, replicaId, positive, negative] of insertions) {
+      const [counts] = await getChange(key);
+      if (mergeCounts(counts, replicaId, positive, negative)) {
+        batch.put(`${this.namespace}>${key}`, counts);
+      }
+    }
+    for (const [key, replicaId, positive, negative] of deletions) {
+      const [counts, floors] = await getChange(key);
+      if (mergeCounts(floors, replicaId, positive, negative)) {
+        batch.put(`${this.namespace}<${key}`, floors);
+      }
+      if (mergeCounts(counts, replicaId, positive, negative)) {
+        batch.put(`${this.namespace}>${key}`, counts);
+      }
+    }
+    const events = [];
+    let sizeDelta = 0;
+    for (const [key, [counts, floors, previousCounts, previousFloors]] of changes) {
+      const wasPresent = isPresent(previousCounts, previousFloors);
+      const previousValue = wasPresent ? getTotal(previousCounts, previousFloors) : undefined;
+      if (isPresent(counts, floors)) {
+        const value = getTotal(counts, floors);
+        if (!wasPresent) {
+          sizeDelta += 1;
+          events.push(['set', key, value, undefined]);
+        } else if (value !== previousValue) {
+          events.push(['set', key, value, previousValue]);
+        }
+      } else if (wasPresent) {
+        sizeDelta -= 1;
+        events.push(['delete', key, previousValue]);
+      }
+    }
+    await batch.commit();
+    this.size += sizeDelta;
+    for (const args of events) {
+      this.emit(...args);
+    }
+  }
+
+  /**
+   * Add to the value of a key. Keys which do not exist start from zero, and are not created by a delta of zero.
+   * @param {string} key - Key
+   * @param {number} [delta=1] - Amount to add, may be negative
+   * @return {Promise<void>}
+   */
+  async increment(key:string, delta?:number = 1):Promise<void> {
+    if (typeof delta !== 'number' || !Number.isFinite(delta)) {
+      throw new TypeError(`Unable to increment by ${String(delta)}, delta must be a finite number`);
+    }
+    await this.replicaIdPromise;
+    const insertions = await this.processQueue.add(() => this._increment(key, delta)); // eslint-disable-line no-underscore-dangle
+    this.insertQueue.push(...insertions);
+    await this.dequeue();
+  }
+
+  async _increment(key:string, delta:number):Promise<Array<[string, string, number, number]>> {
+    const counts = await this.getCounts(key);
+    const [positive, negative] = counts[this.replicaId] || [0, 0];
+    const insertions = delta >= 0 ? [[key, this.replicaId, positive + delta, negative]] : [[key, this.replicaId, positive, negative - delta]];
+    await this._process([insertions, []]); // eslint-disable-line no-underscore-dangle
+    return insertions;
+  }
+
+  /**
+   * Subtract from the value of a key. Keys which do not exist start from zero, and are not created by a delta of zero.
+   * @param {string} key - Key
+   * @param {number} [delta=1] - Amount to subtract, may be negative
+   * @return {Promise<void>}
+   */
+  decrement(key:string, delta?:number = 1):Promise<void> {
+    return this.increment(key, -delta);
+  }
+
+  async delete(key:string):Promise<void> {
+    await this.replicaIdPromise;
+    const deletions = await this.processQueue.add(() => this._delete(key)); // eslint-disable-line no-underscore-dangle
+    if (deletions.length === 0) {
+      return;
+    }
+    this.deleteQueue.push(...deletions);
+    await this.dequeue();
+  }
+
+  async _delete(key:string):Promise<Array<[string, string, number, number]>> {
+    const counts = await this.getCounts(key);
+    if (!isPresent(counts, await this.getFloors(key))) {
+      return [];
+    }
+    const deletions = Object.keys(counts).map((replicaId) => [key, replicaId, ...counts[replicaId]]);
+    await this._process([[], deletions]); // eslint-disable-line no-underscore-dangle
+    return deletions;
+  }
+
+  async getCounts(key:string):Promise<Counts> {
+    try {
+      const counts = await this.db.get(`${this.namespace}>${key}`);
+      return counts;
+    } catch (error) {
+      if (error.notFound) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async get(key:string):Promise<number | void> {
+    const [counts, floors] = await Promise.all([this.getCounts(key), this.getFloors(key)]);
+    if (!isPresent(counts, floors)) {
+      return undefined;
+    }
+    return getTotal(counts, floors);
+  }
+
+  async has(key:string):Promise<boolean> {
+    const [counts, floors] = await Promise.all([this.getCounts(key), this.getFloors(key)]);
+    return isPresent(counts, floors);
+  }
+
+  async clear():Promise<void> {
+    for await (const key of this.keys()) {
+      await this.delete(key);
+    }
+  }
+
+  async forEach(callback:Function, thisArg?:any):Promise<void> {
+    if (thisArg) {
+      for await (const [key, value] of this.entries()) {
+        callback.bind(thisArg)(value, key, this);
+      }
+    } else {
+      for await (const [key, value] of this.entries()) {
+        callback(value, key, this);
+      }
+    }
+  }
+
+  async* entries():AsyncGenerator<[string, number], void, void> {
+    for await (const [key, counts] of this.counts()) {
+      const floors = await this.getFloors(key);
+      if (isPresent(counts, floors)) {
+        yield [key, getTotal(counts, floors)];
+      }
+    }
+  }
+
+  async* keys():AsyncGenerator<string, void, void> {
+    for await (const [key] of this.entries()) {
+      yield key;
+    }
+  }
+
+  async* values():AsyncGenerator<number, void, void> {
+    for await (const [, value] of this.entries()) {
+      yield value;
+    }
+  }
+
+  /* :: @@asyncIterator(): AsyncIterator<[string, number]> { return ({}: any); } */
+  // $FlowFixMe: computed property
+  [Symbol.asyncIterator]() {
+    return this.entries();
+  }
+
+  async shutdown() {
+    clearTimeout(this.publishTimeout);
+    // $FlowFixMe
+    await new Promise((resolve) => queueMicrotask(resolve));
+    await Promise.all([
+      this.processQueue.onIdle(),
+      this.dequeueQueue.onIdle(),
+    ]);
+  }
+}
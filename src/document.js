@@ -0,0 +1,205 @@
+// @flow
+
+import stringify from 'json-stringify-deterministic';
+import ObservedRemoveMap from './map';
+import type { SetOptions } from './map';
+
+const PATH_SEPARATOR = '\u0000';
+
+const isObject = (value:any):boolean => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const flatten = (path:string, value:any, registers:Map<string, any>) => {
+  if (!isObject(value)) {
+    registers.set(path, value);
+    return;
+  }
+  registers.set(path, {});
+  for (const property of Object.keys(value)) {
+    if (typeof value[property] !== 'undefined') {
+      flatten(`${path}${PATH_SEPARATOR}${property}`, value[property], registers);
+    }
+  }
+};
+
+const assemble = (key:string, registers:Array<[string, any]>):any => {
+  const root = {};
+  for (const [path, value] of registers) {
+    const segments = [''].concat(path === key ? [] : path.slice(key.length + 1).split(PATH_SEPARATOR));
+    const property = segments.pop();
+    let node = root;
+    for (const segment of segments) {
+      if (typeof node[segment] === 'undefined') {
+        node[segment] = {};
+      }
+      node = node[segment];
+      if (!isObject(node)) {
+        break;
+      }
+    }
+    if (!isObject(node)) {
+      continue;
+    }
+    if (!isObject(value)) {
+      node[property] = value;
+    } else if (!isObject(node[property])) {
+      node[property] = {};
+    }
+  }
+  return root[''];
+};
+
+/**
+ * Class representing an Observed Remove Document
+ *
+ * Stores JSON values with each path as its own register in an `ObservedRemoveMap`, so concurrent edits to
+ * different properties of the same value are merged. Plain objects are nested maps, while arrays and primitives
+ * are registers and are replaced as a whole. `set(key, value)` only writes the registers which changed and deletes
+ * the registers which were removed, and `get(key)` reassembles the value from its registers.
+ *
+ * Registers are stored as map keys made up of the key and the path, separated by `\u0000`. A property added
+ * concurrently with the removal of its parent object is kept, with the parent recreated as an empty object.
+ * If a path is concurrently set to an object and to another value, its register keeps the pair with the
+ * greater id, or the pair chosen by the `resolve` option, like any other register. Properties of the object
+ * are hidden while the other value wins. Inherited events, `size`, and synchronization methods refer to
+ * registers rather than documents.
+ */
+export default class ObservedRemoveDocument extends ObservedRemoveMap<any> {
+  /**
+   * Get the registers for a key.
+   * @param {string} key - Key
+   * @return {Promise<Array<[string, Array<any>]>>} Array of paths and pairs, parents before children
+   */
+  async getRegisters(key:string):Promise<Array<[string, Array<any>]>> {
+    const registers = [];
+    const iterator = this.db.iterator({ gte: `${this.namespace}>${key}`, lt: `${this.namespace}>${key}\u0001` });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const [path, registerPair] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: Array<any> | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (path && registerPair) {
+        if (typeof registerPair[2] !== 'number' || registerPair[2] > Date.now()) {
+          registers.push([path.slice(this.prefixLength), registerPair]);
+        }
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    return registers;
+  }
+
+  /**
+   * Set the value of a key, writing only the registers which changed.
+   * @param {string} key - Key
+   * @param {any} value - JSON value
+   * @param {string|Object} [options] - Id of the insertion, or an object with optional `id` and `ttl` properties
+   * @param {string} [options.id] - Id of the insertion
+   * @param {number} [options.ttl] - Milliseconds until every register of the value expires
+   * @return {Promise<void>}
+   */
+  async set(key:string, value:any, options?: string | SetOptions): Promise<void> {
+    const { id, ttl } = typeof options === 'string' ? { id: options, ttl: undefined } : options || {};
+    if (key.includes(PATH_SEPARATOR)) {
+      throw new Error('Document keys may not contain \\u0000');
+    }
+    const registers = new Map();
+    flatten(key, value, registers);
+    const insertions = [];
+    const deletions = [];
+    const insertId = id || this.generateId();
+    for (const [path, pair] of await this.getRegisters(key)) {
+      if (this.clock) {
+        this.clock.observe(pair[0]);
+      }
+      if (typeof ttl !== 'number' && pair.length < 3 && registers.has(path) && stringify(registers.get(path)) === stringify(pair[1])) {
+        registers.delete(path);
+      } else {
+        deletions.push([pair[0], path]);
+      }
+    }
+    const expiresAt = typeof ttl === 'number' ? Date.now() + ttl : undefined;
+    for (const [path, registerValue] of registers) {
+      if (typeof expiresAt === 'number') {
+        insertions.push([path, [insertId, registerValue, expiresAt]]);
+      } else if (typeof registerValue === 'undefined') {
+        insertions.push([path, [insertId]]);
+      } else {
+        insertions.push([path, [insertId, registerValue]]);
+      }
+    }
+    if (insertions.length === 0 && deletions.length === 0) {
+      return;
+    }
+    const queue = [insertions, deletions];
+    await this.process(queue, true, queue);
+    await this.dequeue();
+  }
+
+  async get(key:string): Promise<any> {
+    const registers = await this.getRegisters(key);
+    if (registers.length === 0) {
+      return undefined;
+    }
+    return assemble(key, registers.map(([path, pair]) => [path, pair[1]]));
+  }
+
+  async has(key:string): Promise<boolean> {
+    const registers = await this.getRegisters(key);
+    return registers.length > 0;
+  }
+
+  async delete(key:string): Promise<void> {
+    const registers = await this.getRegisters(key);
+    if (registers.length === 0) {
+      return;
+    }
+    const queue = [[], registers.map(([path, [id]]) => [id, path])];
+    await this.process(queue, true, queue);
+    await this.dequeue();
+  }
+
+  async* keys():AsyncGenerator<string, void, void> {
+    for await (const [key] of this.entries()) {
+      yield key;
+    }
+  }
+
+  async* values():AsyncGenerator<any, void, void> {
+    for await (const [, value] of this.entries()) {
+      yield value;
+    }
+  }
+
+  async* entries():AsyncGenerator<[string, any], void, void> {
+    let key;
+    let registers = [];
+    for await (const [path, value] of super.entries()) {
+      const pathKey = path.split(PATH_SEPARATOR)[0];
+      if (pathKey !== key) {
+        if (typeof key === 'string') {
+          yield [key, assemble(key, registers)];
+        }
+        key = pathKey;
+        registers = [];
+      }
+      registers.push([path, value]);
+    }
+    if (typeof key === 'string') {
+      yield [key, assemble(key, registers)];
+    }
+  }
+}
@@ -0,0 +1,33 @@
+// @flow
+
+import crypto from 'crypto';
+
+/**
+ * Helpers for the hash tree used in digest based synchronization.
+ *
+ * Entries are assigned to one of 16^HASH_TREE_DEPTH leaf buckets by the md5 of their identity,
+ * (`>${key}` for pairs, `<${id}` for deletions). Each leaf hash is the XOR of the hashes of
+ * the entries it contains, so leaves can be updated incrementally and internal nodes are
+ * the XOR of the leaves below them.
+ */
+
+export const HASH_TREE_DEPTH = 3;
+
+export const EMPTY_HASH = '00000000000000000000000000000000';
+
+const HEX_CHARACTERS = '0123456789abcdef';
+
+export const getBucket = (identity:string):string => crypto.createHash('md5').update(identity).digest('hex').slice(0, HASH_TREE_DEPTH);
+
+export const getEntryHash = (identity:string, version:string):string => crypto.createHash('md5').update(`${identity}\u0000${version}`).digest('hex');
+
+export const xorHashes = (a:string, b:string):string => {
+  const x = Buffer.from(a, 'hex');
+  const y = Buffer.from(b, 'hex');
+  for (let i = 0; i < x.length; i += 1) {
+    x[i] ^= y[i]; // eslint-disable-line no-bitwise
+  }
+  return x.toString('hex');
+};
+
+export const getChildPrefixes = (prefix:string):Array<string> => HEX_CHARACTERS.split('').map((character) => `${prefix}${character}`);
@@ -0,0 +1,69 @@
+// @flow
+
+const MAX_COUNTER = 1679615;
+
+/**
+ * Class representing a hybrid logical clock
+ *
+ * Generates ids with the same layout as `generateId()`, a nine character base36 timestamp
+ * and a four character base36 counter, followed by the replica id. Ids observed from other replicas
+ * advance the clock so that the next generated id sorts after every id already seen, regardless
+ * of differences between wall clocks. Ties between replicas are broken by replica id.
+ */
+export default class HybridLogicalClock {
+  declare replicaId: string;
+  declare time: number;
+  declare counter: number;
+
+  /**
+   * @param {string} replicaId - Stable identifier of the replica, the same on every restart
+   */
+  constructor(replicaId:string) {
+    if (!replicaId) {
+      throw new Error('Missing required replicaId parameter');
+    }
+    this.replicaId = replicaId;
+    this.time = 0;
+    this.counter = 0;
+  }
+
+  /**
+   * Generate an id which sorts after every id previously generated or observed by the clock.
+   * @return {string}
+   */
+  generateId():string {
+    const now = Date.now();
+    if (now > this.time) {
+      this.time = now;
+      this.counter = 0;
+    } else {
+      this.increment();
+    }
+    return `${this.time.toString(36).padStart(9, '0')}${this.counter.toString(36).padStart(4, '0')}${this.replicaId}`;
+  }
+
+  /**
+   * Advance the clock to an id received from another replica.
+   * @param {string} id - Id generated by a hybrid logical clock or `generateId()`
+   * @return {void}
+   */
+  observe(id:string) {
+    const time = parseInt(id.slice(0, 9), 36);
+    const counter = parseInt(id.slice(9, 13), 36);
+    if (Number.isNaN(time) || Number.isNaN(counter)) {
+      return;
+    }
+    if (time > this.time || (time === this.time && counter > this.counter)) {
+      this.time = time;
+      this.counter = counter;
+    }
+  }
+
+  increment() {
+    this.counter += 1;
+    if (this.counter > MAX_COUNTER) {
+      this.time += 1;
+      this.counter = 0;
+    }
+  }
+}
@@ -2,9 +2,15 @@
 
 import getSigner from './signer';
 import getVerifier from './verifier';
+import { getFingerprint } from './key';
 import SignedObservedRemoveMap from './signed-map';
 import ObservedRemoveMap from './map';
+import ObservedRemoveSet from './set';
+import ObservedRemoveCounterMap from './counter-map';
+import ObservedRemoveSequence from './sequence';
+import ObservedRemoveDocument from './document';
 import generateId from './generate-id';
-import { InvalidSignatureError } from './signed-error';
+import HybridLogicalClock from './hybrid-logical-clock';
+import { InvalidSignatureError, UnauthorizedWriteError } from './signed-error';
 
-export { getSigner, getVerifier, SignedObservedRemoveMap, ObservedRemoveMap, generateId, InvalidSignatureError };
+export { getSigner, getVerifier, getFingerprint, SignedObservedRemoveMap, ObservedRemoveMap, ObservedRemoveSet, ObservedRemoveCounterMap, ObservedRemoveSequence, ObservedRemoveDocument, generateId, HybridLogicalClock, InvalidSignatureError, UnauthorizedWriteError };
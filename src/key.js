@@ -0,0 +1,74 @@
+// @flow
+
+import crypto from 'crypto';
+import NodeRSA from 'node-rsa';
+
+// KeyObject and the one-shot sign and verify functions are missing from Flow's node library definitions
+const { KeyObject, createPrivateKey, createPublicKey } = (crypto:any);
+
+export type Algorithm = 'rsa' | 'ed25519' | 'ecdsa';
+
+const getAlgorithm = (keyObject:Object):Algorithm => {
+  const { asymmetricKeyType, asymmetricKeyDetails } = keyObject;
+  if (asymmetricKeyType === 'rsa' || asymmetricKeyType === 'ed25519') {
+    return asymmetricKeyType;
+  }
+  if (asymmetricKeyType === 'ec' && asymmetricKeyDetails && asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ecdsa';
+  }
+  throw new Error(`Unsupported key type "${asymmetricKeyType}", expected an RSA, Ed25519 or ECDSA P-256 key`);
+};
+
+/**
+ * Get the algorithm and the signing or verification key for a key in any supported format.
+ *
+ * NodeRSA instances, keys with an explicit NodeRSA format, and RSA keys are returned as NodeRSA instances
+ * so that signatures match those made by earlier versions. Other keys may be KeyObjects, PEM or DER encoded
+ * strings or buffers, or JWK objects, and are returned as KeyObjects.
+ * @param {any} key - Key
+ * @param {'private'|'public'} type - Type of key to return. Public keys are derived from private keys.
+ * @param {string} [format] - NodeRSA key format, implies RSA
+ * @param {'rsa'|'ed25519'|'ecdsa'} [algorithm] - Expected algorithm, detected from the key if omitted
+ * @return {[string, any]} Algorithm and NodeRSA instance or KeyObject
+ */
+const getKey = (key:any, type:'private' | 'public', format?:string, algorithm?:Algorithm):[Algorithm, any] => {
+  if (key instanceof NodeRSA) {
+    return ['rsa', key];
+  }
+  if (typeof format === 'string') {
+    return ['rsa', new NodeRSA(key, format)];
+  }
+  const createKey = type === 'private' ? createPrivateKey : createPublicKey;
+  let keyObject;
+  if (key instanceof KeyObject) {
+    keyObject = key.type === type ? key : createKey(key);
+  } else if (key && typeof key === 'object' && typeof key.kty === 'string') {
+    keyObject = createKey({ key, format: 'jwk' });
+  } else {
+    keyObject = createKey(key);
+  }
+  const keyAlgorithm = getAlgorithm(keyObject);
+  if (algorithm && algorithm !== keyAlgorithm) {
+    throw new Error(`Expected an ${algorithm} key, received an ${keyAlgorithm} key`);
+  }
+  if (keyAlgorithm === 'rsa') {
+    return ['rsa', new NodeRSA(keyObject.export({ type: 'pkcs1', format: 'pem' }), `pkcs1-${type}-pem`)];
+  }
+  return [keyAlgorithm, keyObject];
+};
+
+/**
+ * Get the fingerprint of a key, the hex encoded SHA-256 hash of its DER encoded SubjectPublicKeyInfo.
+ * Private keys have the same fingerprint as their public keys.
+ * @param {any} key - Key
+ * @param {string} [format] - NodeRSA key format, implies RSA
+ * @param {'rsa'|'ed25519'|'ecdsa'} [algorithm] - Expected algorithm, detected from the key if omitted
+ * @return {string} Fingerprint
+ */
+export const getFingerprint = (key:any, format?:string, algorithm?:Algorithm):string => {
+  const [keyAlgorithm, publicKey] = getKey(key, 'public', format, algorithm);
+  const der = keyAlgorithm === 'rsa' ? publicKey.exportKey('pkcs8-public-der') : publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex');
+};
+
+export default getKey;
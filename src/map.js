@@ -2,13 +2,93 @@
 
 import PQueue from 'p-queue';
 import EventEmitter from 'events';
+import stringify from 'json-stringify-deterministic';
 import generateId from './generate-id';
+import Batch from './batch';
+import HybridLogicalClock from './hybrid-logical-clock';
+import { HASH_TREE_DEPTH, EMPTY_HASH, getEntryHash, xorHashes, getChildPrefixes } from './hash-tree';
 
 type Options = {
   maxAge?:number,
   bufferPublishing?:number,
   namespace?: string,
-  format?: string
+  format?: string,
+  clock?: HybridLogicalClock,
+  resolve?: (key:string, localPair:[string, any], remotePair:[string, any]) => [string, any],
+  multiValue?: boolean
+};
+
+export type SetOptions = {
+  id?: string,
+  ttl?: number
+};
+
+type IteratorOptions = {
+  prefix?: string,
+  gt?: string,
+  gte?: string,
+  lt?: string,
+  lte?: string,
+  limit?: number,
+  reverse?: boolean
+};
+
+type PageOptions = {
+  after?: string,
+  limit?: number,
+  prefix?: string,
+  reverse?: boolean
+};
+
+type Page<V> = {
+  entries: Array<[string, V]>,
+  nextCursor: string | void
+};
+
+export type ProcessOptions = {
+  skipFlush?: boolean,
+  origin?: string
+};
+
+type WatchOptions = {
+  key?: string,
+  prefix?: string,
+  initial?: boolean
+};
+
+export type Change<V> = {
+  type: 'set' | 'delete' | 'affirm' | 'initial',
+  key: string,
+  value: V | void,
+  previousValue: V | void,
+  id: string,
+  origin: string | void
+};
+
+type QueryOptions = {
+  eq?: string,
+  gt?: string,
+  lt?: string
+};
+
+type Digest = [Array<[string, string]>, boolean];
+
+type Delta = [Array<*>, Array<*>, string, boolean];
+
+const MAX_TIMEOUT = 2147483647;
+
+const getExpiryString = (expiresAt:number):string => expiresAt.toString(36).padStart(9, '0');
+
+const isExpired = (pair:$ReadOnlyArray<any>):boolean => typeof pair[2] === 'number' && pair[2] <= Date.now();
+
+const createPair = (id:string, value:any, expiresAt?:number):Array<*> => {
+  if (typeof expiresAt === 'number') {
+    return [id, value, expiresAt];
+  }
+  if (typeof value === 'undefined') {
+    return [id];
+  }
+  return [id, value];
 };
 
 /**
@@ -22,6 +102,7 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
   declare bufferPublishing: number;
   declare deleteQueue: Array<*>;
   declare insertQueue: Array<*>;
+  declare outboxKeys: Array<string>;
   declare publishTimeout: null | TimeoutID;
   declare readyPromise: Promise<void>;
   declare db: Object;
@@ -30,6 +111,14 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
   declare size: number;
   declare processQueue: PQueue;
   declare dequeueQueue: PQueue;
+  declare hashTreeQueue: PQueue;
+  declare clock: HybridLogicalClock | void;
+  declare resolve: ((key:string, localPair:[string, V], remotePair:[string, V]) => [string, V]) | void;
+  declare multiValue: boolean;
+  declare expireTimeout: null | TimeoutID;
+  declare nextExpiry: number;
+  declare isShutdown: boolean;
+  declare indexes: Map<string, (value:V) => string | void>;
 
   constructor(db:Object, entries?: Iterable<[string, V]>, options?:Options = {}) {
     super();
@@ -38,12 +127,25 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
     this.prefixLength = this.namespace.length + 1;
     this.maxAge = typeof options.maxAge === 'undefined' ? 5000 : options.maxAge;
     this.bufferPublishing = typeof options.bufferPublishing === 'undefined' ? 0 : options.bufferPublishing;
+    this.clock = options.clock;
+    this.resolve = options.resolve;
+    this.multiValue = !!options.multiValue;
+    this.indexes = new Map();
     this.publishTimeout = null;
+    this.expireTimeout = null;
+    this.nextExpiry = Infinity;
+    this.isShutdown = false;
     this.insertQueue = [];
     this.deleteQueue = [];
+    this.outboxKeys = [];
     this.size = 0;
+    this.processQueue = new PQueue({ concurrency: 1 });
+    this.dequeueQueue = new PQueue();
+    this.hashTreeQueue = new PQueue({ concurrency: 1 });
     this.readyPromise = (async () => {
       await this.updateSize();
+      await this.loadOutbox();
+      await this.scheduleNextExpiry();
       const promises = [];
       if (entries) {
         for (const [key, value] of entries) {
@@ -52,11 +154,32 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
       }
       await Promise.all(promises);
     })();
-    this.processQueue = new PQueue({ concurrency: 1 });
-    this.dequeueQueue = new PQueue();
   }
 
+  /**
+   * Load the size stored with the map, counting the map's pairs if no size has been stored.
+   * @return {Promise<void>}
+   */
   async updateSize() {
+    try {
+      this.size = await this.db.get(`${this.namespace}!size`);
+    } catch (error) {
+      if (!error.notFound) {
+        throw error;
+      }
+      await this.recount();
+    }
+  }
+
+  /**
+   * Count the map's pairs and store the result, for example if the stored size is suspected to have drifted.
+   * @return {Promise<void>}
+   */
+  recount():Promise<void> {
+    return this.processQueue.add(() => this._recount()); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _recount() {
     let size = 0;
     const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?`, values: false });
     while (true) { // eslint-disable-line  no-constant-condition
@@ -84,9 +207,49 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
         }
       });
     });
+    await this.db.put(`${this.namespace}!size`, size);
     this.size = size;
   }
 
+  /**
+   * Load insertions and deletions which were written locally but not published before the process exited.
+   * They are published after the current event loop turn so listeners can be added once the map is ready.
+   * @return {Promise<void>}
+   */
+  async loadOutbox():Promise<void> {
+    const iterator = this.db.iterator({ gt: `${this.namespace}@`, lt: `${this.namespace}A` });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const [key, queue] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: [Array<*>, Array<*>] | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (key && queue) {
+        this.insertQueue.push(...queue[0]);
+        this.deleteQueue.push(...queue[1]);
+        this.outboxKeys.push(key);
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    if (this.outboxKeys.length > 0 && !this.publishTimeout) {
+      this.publishTimeout = setTimeout(() => this.dequeueQueue.add(() => this.publish()), this.bufferPublishing);
+    }
+  }
+
   dequeue() {
     return this.dequeueQueue.add(() => this._dequeue()); // eslint-disable-line no-underscore-dangle
   }
@@ -106,35 +269,33 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
     this.publishTimeout = null;
     const insertQueue = this.insertQueue;
     const deleteQueue = this.deleteQueue;
+    const outboxKeys = this.outboxKeys;
     this.insertQueue = [];
     this.deleteQueue = [];
+    this.outboxKeys = [];
     await this.sync([insertQueue, deleteQueue]);
-  }
-
-  async flush():Promise<void> {
-    const maxAgeString = (Date.now() - this.maxAge).toString(36).padStart(9, '0');
-    await this.db.clear({ gt: `${this.namespace}<`, lt: `${this.namespace}<${maxAgeString}` });
+    if (outboxKeys.length > 0) {
+      await this.db.batch(outboxKeys.map((key) => ({ type: 'del', key })));
+    }
   }
 
   /**
-   * Emit a 'publish' event containing a specified queue or all of the set's insertions and deletions.
-   * @param {Array<Array<any>>} queue - Array of insertions and deletions
-   * @return {void}
+   * Remove tombstones and operations older than `maxAge`. Runs in the process queue, as removing a tombstone
+   * from the hash tree twice would add it back.
+   * @return {Promise<void>}
    */
-  async sync(queue?: [Array<*>, Array<*>]) {
-    if (queue) {
-      this.emit('publish', queue);
-    } else {
-      this.emit('publish', await this.dump());
-    }
+  flush():Promise<void> {
+    return this.processQueue.add(() => this._flush()); // eslint-disable-line no-underscore-dangle
   }
 
-  async pairs():Promise<Array<[string, [string, V]]>> {
-    const pairs:Array<[string, [string, V]]> = [];
-    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?` });
+  async _flush():Promise<void> {
+    const maxAgeString = (Date.now() - this.maxAge).toString(36).padStart(9, '0');
+    await this.db.clear({ gt: `${this.namespace}^`, lt: `${this.namespace}^${maxAgeString}` });
+    const batch = new Batch(this.db, this.namespace);
+    const iterator = this.db.iterator({ gt: `${this.namespace}<`, lt: `${this.namespace}<${maxAgeString}` });
     while (true) { // eslint-disable-line  no-constant-condition
-      const [key, pair] = await new Promise((resolve, reject) => {
-        iterator.next((error:Error | void, k: string | void, v: [string, V] | void) => {
+      const [id, key] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: string | void) => {
           if (error) {
             reject(error);
           } else {
@@ -142,8 +303,10 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
           }
         });
       });
-      if (key && pair) {
-        pairs.push([key.slice(this.prefixLength), pair]);
+      if (id && key) {
+        const identity = id.slice(this.namespace.length);
+        batch.del(id);
+        batch.updateHashTree(identity, getEntryHash(identity, key));
       } else {
         break;
       }
@@ -157,14 +320,32 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
         }
       });
     });
-    return pairs;
+    await this.commit(batch);
   }
 
-  async deletions():Promise<Array<[string, string]>> {
+  /**
+   * Delete pairs which have passed their expiry time and publish the deletions.
+   * @return {Promise<void>}
+   */
+  async expire():Promise<void> {
+    const expired = await this.processQueue.add(() => this._expire()); // eslint-disable-line no-underscore-dangle
+    if (expired) {
+      await this.dequeue();
+    }
+  }
+
+  async _expire():Promise<boolean> {
+    clearTimeout(this.expireTimeout);
+    this.expireTimeout = null;
+    this.nextExpiry = Infinity;
+    if (this.isShutdown) {
+      return false;
+    }
+    const expiryString = getExpiryString(Date.now() + 1);
     const deletions = [];
-    const iterator = this.db.iterator({ gt: `${this.namespace}<`, lt: `${this.namespace}=` });
+    const iterator = this.db.iterator({ gt: `${this.namespace}&`, lt: `${this.namespace}&${expiryString}` });
     while (true) { // eslint-disable-line  no-constant-condition
-      const [id, key] = await new Promise((resolve, reject) => {
+      const [indexKey, key] = await new Promise((resolve, reject) => {
         iterator.next((error:Error | void, k: string | void, v: string | void) => {
           if (error) {
             reject(error);
@@ -173,8 +354,8 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
           }
         });
       });
-      if (id && key) {
-        deletions.push([id.slice(this.prefixLength), key]);
+      if (indexKey && typeof key === 'string') {
+        deletions.push([indexKey.slice(this.prefixLength + 9), key]);
       } else {
         break;
       }
@@ -188,172 +369,116 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
         }
       });
     });
-    return deletions;
+    if (deletions.length > 0) {
+      const queue = [[], deletions];
+      await this._process(queue, true, queue); // eslint-disable-line no-underscore-dangle
+      await this.db.clear({ gt: `${this.namespace}&`, lt: `${this.namespace}&${expiryString}` });
+    }
+    await this.scheduleNextExpiry();
+    return deletions.length > 0;
   }
 
   /**
-   * Return an array containing all of the map's insertions and deletions.
-   * @return {[Array<*>, Array<*>]>}
+   * Schedule expiry for the earliest expiry time in the `&` index.
+   * @return {Promise<void>}
    */
-  async dump():Promise<[Array<*>, Array<*>]> {
-    return Promise.all([this.pairs(), this.deletions()]);
-  }
-
-  process(queue:[Array<*>, Array<*>], skipFlush?: boolean = false) {
-    return this.processQueue.add(() => this._process(queue, skipFlush)); // eslint-disable-line no-underscore-dangle
-  }
-
-  async _process(queue:[Array<*>, Array<*>], skipFlush?: boolean = false) {
-    const [insertions, deletions] = queue;
-    for (const [id, key] of deletions) {
-      await this.db.put(`${this.namespace}<${id}`, key);
+  async scheduleNextExpiry():Promise<void> {
+    if (this.isShutdown) {
+      return;
     }
-    for (const [key, [id, value]] of insertions) {
-      try {
-        await this.db.get(`${this.namespace}<${id}`);
-        continue;
-      } catch (error) {
-        if (!error.notFound) {
-          throw error;
-        }
-      }
-      try {
-        const pair = await this.db.get(`${this.namespace}>${key}`);
-        if (pair[0] < id) {
-          if (typeof value === 'undefined') {
-            await this.db.put(`${this.namespace}>${key}`, [id]);
-          } else {
-            await this.db.put(`${this.namespace}>${key}`, [id, value]);
-          }
-          this.emit('set', key, value, pair[1]);
-        } else if (pair[0] === id) {
-          this.emit('affirm', key, value, pair[1]);
-        }
-      } catch (error) {
-        if (!error.notFound) {
-          throw error;
-        }
-        if (typeof value === 'undefined') {
-          await this.db.put(`${this.namespace}>${key}`, [id]);
+    const iterator = this.db.iterator({ gt: `${this.namespace}&`, lt: `${this.namespace}'`, values: false, limit: 1 });
+    const indexKey = await new Promise((resolve, reject) => {
+      iterator.next((error:Error | void, k: string | void) => {
+        if (error) {
+          reject(error);
         } else {
-          await this.db.put(`${this.namespace}>${key}`, [id, value]);
-        }
-        this.size += 1;
-        this.emit('set', key, value, undefined);
-      }
-    }
-    for (const [id, key] of deletions) {
-      try {
-        const pair = await this.db.get(`${this.namespace}>${key}`);
-        if (pair[0] === id) {
-          await this.db.del(`${this.namespace}>${key}`);
-          this.size -= 1;
-          this.emit('delete', key, pair[1]);
+          resolve(k);
         }
-      } catch (error) {
-        if (!error.notFound) {
-          throw error;
+      });
+    });
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
         }
-      }
-    }
-    if (!skipFlush) {
-      await this.flush();
-    }
-  }
-
-  async set(key:string, value:V, id?: string = generateId()): Promise<void> {
-    const insertMessage = typeof value === 'undefined' ? [key, [id]] : [key, [id, value]];
-    try {
-      const pair = await this.db.get(`${this.namespace}>${key}`);
-      const deleteMessage = [pair[0], key];
-      await this.process([[insertMessage], [deleteMessage]], true);
-      this.deleteQueue.push(deleteMessage);
-    } catch (error) {
-      if (error.notFound) {
-        await this.process([[insertMessage], []], true);
-      } else {
-        throw error;
-      }
+      });
+    });
+    if (indexKey) {
+      this.scheduleExpiry(parseInt(indexKey.slice(this.prefixLength, this.prefixLength + 9), 36));
     }
-    this.insertQueue.push(insertMessage);
-    await this.dequeue();
   }
 
-  async getPair(key:string): Promise<[string, V] | void> { // eslint-disable-line consistent-return
-    try {
-      const pair = await this.db.get(`${this.namespace}>${key}`);
-      return pair;
-    } catch (error) {
-      if (error.notFound) {
-        return; // eslint-disable-line consistent-return
-      }
-      throw error;
+  scheduleExpiry(expiresAt:number) {
+    if (this.isShutdown || expiresAt >= this.nextExpiry) {
+      return;
     }
+    clearTimeout(this.expireTimeout);
+    this.nextExpiry = expiresAt;
+    const expireTimeout:any = setTimeout(() => {
+      this.expire().catch((error) => {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      });
+    }, Math.min(MAX_TIMEOUT, Math.max(0, expiresAt - Date.now())));
+    // Expiry timers can be up to MAX_TIMEOUT long and should not keep the process running
+    expireTimeout.unref();
+    this.expireTimeout = expireTimeout;
   }
 
-  async get(key:string): Promise<V | void> { // eslint-disable-line consistent-return
-    try {
-      const pair = await this.db.get(`${this.namespace}>${key}`);
-      return pair[1];
-    } catch (error) {
-      if (error.notFound) {
-        return; // eslint-disable-line consistent-return
-      }
-      throw error;
-    }
+  /**
+   * Commit a batch. Batches are committed one at a time so hash tree leaves are updated consistently.
+   * @param {Batch} batch - Batch to commit
+   * @return {Promise<void>}
+   */
+  commit(batch:Batch):Promise<void> {
+    return this.hashTreeQueue.add(() => batch.commit());
   }
 
-  async delete(key:string): Promise<void> {
-    try {
-      const pair = await this.db.get(`${this.namespace}>${key}`);
-      const message = [pair[0], key];
-      await this.process([[], [message]], true);
-      this.deleteQueue.push(message);
-      await this.dequeue();
-    } catch (error) {
-      if (error.notFound) {
-        return;
-      }
-      throw error;
+  /**
+   * Rebuild the hash tree from the map's insertions and deletions, for example after upgrading a database written by an earlier version.
+   * @return {Promise<void>}
+   */
+  async rebuildHashTree():Promise<void> {
+    const batch = new Batch(this.db, this.namespace);
+    for (const [key, [id]] of await this.pairs()) {
+      batch.updateHashTree(`>${key}`, undefined, getEntryHash(`>${key}`, id));
     }
-  }
-
-  async clear(): Promise<void> {
-    for await (const key of this.keys()) {
-      await this.delete(key);
+    for (const [key, siblings] of await this.siblings()) {
+      batch.updateHashTree(`*${key}`, undefined, getEntryHash(`*${key}`, siblings.map(([id]) => id).join(',')));
     }
-  }
-
-  async forEach(callback:Function, thisArg?:any):Promise<void> {
-    if (thisArg) {
-      for await (const [key, value] of this.entries()) {
-        callback.bind(thisArg)(value, key, this);
-      }
-    } else {
-      for await (const [key, value] of this.entries()) {
-        callback(value, key, this);
-      }
+    for (const [id, key] of await this.deletions()) {
+      batch.updateHashTree(`<${id}`, undefined, getEntryHash(`<${id}`, key));
     }
+    await this.hashTreeQueue.add(async () => {
+      await this.db.clear({ gt: `${this.namespace}#`, lt: `${this.namespace}$` });
+      await this.db.clear({ gt: `${this.namespace}%`, lt: `${this.namespace}&` });
+      await batch.commit();
+    });
   }
 
-  async has(key:string): Promise<boolean> {
-    return !!(await this.get(key));
-  }
-
-  async* keys():AsyncGenerator<string, void, void> {
-    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?`, values: false });
-    while (true) {
-      const key = await new Promise((resolve, reject) => {
-        iterator.next((error:Error | void, k: string | void) => {
+  /**
+   * Get the hash of a node in the hash tree.
+   * @param {string} [prefix] - Hex prefix of the node, an empty string for the root
+   * @return {Promise<string>}
+   */
+  async getHash(prefix?:string = ''):Promise<string> {
+    let hash = EMPTY_HASH;
+    const iterator = this.db.iterator({ gte: `${this.namespace}#${prefix}`, lt: `${this.namespace}#${prefix}~`, keys: false });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const leafHash = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: void, v: string | void) => {
           if (error) {
             reject(error);
           } else {
-            resolve(k);
+            resolve(v);
           }
         });
       });
-      if (key) {
-        yield key.slice(this.prefixLength);
+      if (leafHash) {
+        hash = xorHashes(hash, leafHash);
       } else {
         break;
       }
@@ -367,58 +492,1140 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
         }
       });
     });
+    return hash;
   }
 
-  async* entries():AsyncGenerator<[string, V], void, void> {
-    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?` });
-    while (true) {
-      const [key, pair] = await new Promise((resolve, reject) => {
-        iterator.next((error:Error | void, k: string | void, v: [string, V] | void) => {
+  /**
+   * Return an array containing the map's insertions and deletions in the specified hash tree leaves.
+   * @param {Array<string>} buckets - Hex prefixes of the leaves
+   * @return {[Array<*>, Array<*>]>}
+   */
+  async dumpBuckets(buckets:Array<string>):Promise<[Array<*>, Array<*>]> {
+    const insertions = [];
+    const deletions = [];
+    const offset = this.prefixLength + HASH_TREE_DEPTH;
+    for (const bucket of buckets) {
+      const iterator = this.db.iterator({ gt: `${this.namespace}%${bucket}`, lt: `${this.namespace}%${bucket}~`, values: false });
+      while (true) { // eslint-disable-line  no-constant-condition
+        const indexKey = await new Promise((resolve, reject) => {
+          iterator.next((error:Error | void, k: string | void) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve(k);
+            }
+          });
+        });
+        if (!indexKey) {
+          break;
+        }
+        await this.dumpIdentity(indexKey.slice(offset), insertions, deletions);
+      }
+      await new Promise((resolve, reject) => {
+        iterator.end((error:Error | void) => {
           if (error) {
             reject(error);
           } else {
-            resolve([k, v]);
+            resolve();
           }
         });
       });
-      if (key && pair) {
-        yield [key.slice(this.prefixLength), pair[1]];
-      } else {
-        break;
-      }
     }
-    await new Promise((resolve, reject) => {
-      iterator.end((error:Error | void) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve();
-        }
-      });
-    });
+    return [insertions, deletions];
   }
 
-  /* :: @@asyncIterator(): AsyncIterator<[string, V]> { return ({}: any); } */
-  // $FlowFixMe: computed property
-  [Symbol.asyncIterator]() {
-    return this.entries();
+  /**
+   * Emit a 'digest' event containing the root hash of the map's hash tree.
+   *
+   * Peers pass 'digest' events to `processDigest()` and 'publish' events to `process()`.
+   * Digests are exchanged one tree level at a time until the differing leaves are found,
+   * then only the insertions and deletions in those leaves are published.
+   * @return {Promise<void>}
+   */
+  async syncDigest() {
+    this.emit('digest', [[['', await this.getHash()]], false]);
   }
 
-  async* values():AsyncGenerator<V, void, void> {
-    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?`, keys: false });
-    while (true) {
-      const pair = await new Promise((resolve, reject) => {
-        iterator.next((error:Error | void, k: void, v: [string, V] | void) => {
-          if (error) {
-            reject(error);
-          } else {
-            resolve(v);
-          }
-        });
-      });
-      if (pair) {
-        yield pair[1];
-      } else {
+  processDigest(digest:Digest) {
+    return this.processQueue.add(() => this._processDigest(digest)); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _processDigest(digest:Digest) {
+    const [hashes, final] = digest;
+    const differences = [];
+    for (const [prefix, hash] of hashes) {
+      if (prefix.length > HASH_TREE_DEPTH) {
+        continue;
+      }
+      const localHash = await this.getHash(prefix);
+      if (localHash !== hash) {
+        differences.push([prefix, localHash]);
+      }
+    }
+    if (differences.length === 0) {
+      return;
+    }
+    const buckets = differences.filter(([prefix]) => prefix.length === HASH_TREE_DEPTH);
+    if (buckets.length > 0) {
+      const [insertions, deletions] = await this.dumpBuckets(buckets.map(([prefix]) => prefix));
+      if (insertions.length > 0 || deletions.length > 0) {
+        await this.sync([insertions, deletions]);
+      }
+      if (!final) {
+        this.emit('digest', [buckets, true]);
+      }
+    }
+    const children = [];
+    for (const [prefix] of differences) {
+      if (prefix.length === HASH_TREE_DEPTH) {
+        continue;
+      }
+      for (const childPrefix of getChildPrefixes(prefix)) {
+        children.push([childPrefix, await this.getHash(childPrefix)]);
+      }
+    }
+    if (children.length > 0) {
+      this.emit('digest', [children, false]);
+    }
+  }
+
+  /**
+   * Emit a 'publish' event containing a specified queue or all of the set's insertions and deletions.
+   * @param {Array<Array<any>>} queue - Array of insertions and deletions
+   * @return {void}
+   */
+  async sync(queue?: [Array<*>, Array<*>]) {
+    if (queue) {
+      this.emit('publish', queue);
+    } else {
+      this.emit('publish', await this.dump());
+    }
+  }
+
+  async pairs(options?:IteratorOptions):Promise<Array<[string, [string, V]]>> {
+    const pairs:Array<[string, [string, V]]> = [];
+    const iterator = this.db.iterator(this.getIteratorOptions(options));
+    while (true) { // eslint-disable-line  no-constant-condition
+      const [key, pair] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: [string, V] | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (key && pair) {
+        pairs.push([key.slice(this.prefixLength), pair]);
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    return pairs;
+  }
+
+  async deletions():Promise<Array<[string, string]>> {
+    const deletions = [];
+    const iterator = this.db.iterator({ gt: `${this.namespace}<`, lt: `${this.namespace}=` });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const [id, key] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: string | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (id && key) {
+        deletions.push([id.slice(this.prefixLength), key]);
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    return deletions;
+  }
+
+  async siblings():Promise<Array<[string, Array<[string, V]>]>> {
+    const siblings = [];
+    const iterator = this.db.iterator({ gt: `${this.namespace}*`, lt: `${this.namespace}+` });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const [key, pairs] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: Array<[string, V]> | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (key && pairs) {
+        siblings.push([key.slice(this.prefixLength), pairs]);
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    return siblings;
+  }
+
+  /**
+   * Return an array containing all of the map's insertions and deletions.
+   * @return {[Array<*>, Array<*>]>}
+   */
+  async dump():Promise<[Array<*>, Array<*>]> {
+    const [pairs, siblings, deletions] = await Promise.all([this.pairs(), this.siblings(), this.deletions()]);
+    for (const [key, siblingPairs] of siblings) {
+      for (const pair of siblingPairs) {
+        pairs.push([key, pair]);
+      }
+    }
+    return [pairs, deletions];
+  }
+
+  /**
+   * Iterate through the map's deletions and insertions in chunks without loading them into memory.
+   *
+   * Deletions are yielded before insertions so that peers do not emit events for pairs which have
+   * already been deleted. Use `Readable.from(map.dumpStream())` to pipe the chunks to a Node stream.
+   * @param {number} [chunkSize] - Maximum number of insertions or deletions in each chunk
+   * @return {AsyncGenerator<[Array<*>, Array<*>]>}
+   */
+  async* dumpStream(chunkSize?: number = 1000):AsyncGenerator<[Array<*>, Array<*>], void, void> {
+    let deletions = [];
+    const deletionIterator = this.db.iterator({ gt: `${this.namespace}<`, lt: `${this.namespace}=` });
+    try {
+      while (true) { // eslint-disable-line  no-constant-condition
+        const [id, key] = await new Promise((resolve, reject) => {
+          deletionIterator.next((error:Error | void, k: string | void, v: string | void) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve([k, v]);
+            }
+          });
+        });
+        if (!id || !key) {
+          break;
+        }
+        deletions.push([id.slice(this.prefixLength), key]);
+        if (deletions.length >= chunkSize) {
+          yield [[], deletions];
+          deletions = [];
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => {
+        deletionIterator.end((error:Error | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+    if (deletions.length > 0) {
+      yield [[], deletions];
+    }
+    let insertions = [];
+    const insertionIterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?` });
+    try {
+      while (true) { // eslint-disable-line  no-constant-condition
+        const [key, pair] = await new Promise((resolve, reject) => {
+          insertionIterator.next((error:Error | void, k: string | void, v: [string, V] | void) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve([k, v]);
+            }
+          });
+        });
+        if (!key || !pair) {
+          break;
+        }
+        insertions.push([key.slice(this.prefixLength), pair]);
+        if (insertions.length >= chunkSize) {
+          yield [insertions, []];
+          insertions = [];
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => {
+        insertionIterator.end((error:Error | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+    const siblingIterator = this.db.iterator({ gt: `${this.namespace}*`, lt: `${this.namespace}+` });
+    try {
+      while (true) { // eslint-disable-line  no-constant-condition
+        const [key, pairs] = await new Promise((resolve, reject) => {
+          siblingIterator.next((error:Error | void, k: string | void, v: Array<[string, V]> | void) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve([k, v]);
+            }
+          });
+        });
+        if (!key || !pairs) {
+          break;
+        }
+        for (const pair of pairs) {
+          insertions.push([key.slice(this.prefixLength), pair]);
+        }
+        if (insertions.length >= chunkSize) {
+          yield [insertions, []];
+          insertions = [];
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => {
+        siblingIterator.end((error:Error | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+    if (insertions.length > 0) {
+      yield [insertions, []];
+    }
+  }
+
+  /**
+   * Process chunks of insertions and deletions as they arrive, for example from `dumpStream()` on a peer.
+   * @param {AsyncIterable<[Array<*>, Array<*>]>} stream - Chunks of insertions and deletions
+   * @return {Promise<void>}
+   */
+  async processStream(stream:AsyncIterable<[Array<*>, Array<*>]>):Promise<void> {
+    for await (const queue of stream) {
+      await this.process(queue, true);
+    }
+    await this.flush();
+  }
+
+  /**
+   * Return the insertions and deletions recorded after a previous call to `dumpSince()`.
+   *
+   * Operations are indexed by ids generated when they are recorded, so the returned delta includes
+   * an id to pass to the next call. If the requested id is older than `maxAge` deletions may have been
+   * flushed and the delta is marked as requiring a full resynchronization using `dump()` or `sync()`.
+   * @param {string} id - Id returned by a previous call, or an empty string
+   * @return {Promise<[Array<*>, Array<*>, string, boolean]>} Insertions, deletions, id for the next call and whether a full resynchronization is required
+   */
+  dumpSince(id:string):Promise<Delta> {
+    // Operations are recorded while processing, so no operation can be recorded before the next id but committed after the iteration
+    return this.processQueue.add(() => this._dumpSince(id)); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _dumpSince(id:string):Promise<Delta> {
+    const nextId = generateId();
+    const maxAgeString = (Date.now() - this.maxAge).toString(36).padStart(9, '0');
+    if (id.slice(0, 9) < maxAgeString) {
+      return [[], [], nextId, true];
+    }
+    const identities = new Set();
+    const iterator = this.db.iterator({ gt: `${this.namespace}^${id}`, lt: `${this.namespace}_`, keys: false });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const identity = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: void, v: string | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(v);
+          }
+        });
+      });
+      if (identity) {
+        identities.add(identity);
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    const insertions = [];
+    const deletions = [];
+    for (const identity of identities) {
+      await this.dumpIdentity(identity, insertions, deletions);
+    }
+    return [insertions, deletions, nextId, false];
+  }
+
+  /**
+   * Add the insertions or deletion for an entry identity to arrays of insertions and deletions.
+   * @param {string} identity - Entry identity, `>${key}` for pairs, `*${key}` for siblings or `<${id}` for deletions
+   * @param {Array<*>} insertions - Insertions
+   * @param {Array<*>} deletions - Deletions
+   * @return {Promise<void>}
+   */
+  async dumpIdentity(identity:string, insertions:Array<*>, deletions:Array<*>):Promise<void> {
+    try {
+      if (identity[0] === '>') {
+        const key = identity.slice(1);
+        insertions.push([key, await this.db.get(`${this.namespace}>${key}`)]);
+      } else if (identity[0] === '*') {
+        const key = identity.slice(1);
+        for (const pair of await this.db.get(`${this.namespace}*${key}`)) {
+          insertions.push([key, pair]);
+        }
+      } else {
+        const id = identity.slice(1);
+        deletions.push([id, await this.db.get(`${this.namespace}<${id}`)]);
+      }
+    } catch (error) {
+      if (!error.notFound) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Process a delta returned by `dumpSince()`.
+   * @param {[Array<*>, Array<*>, string, boolean]} delta - Insertions, deletions, id and resynchronization flag
+   * @return {Promise<boolean>} False if a full resynchronization is required
+   */
+  async processSince(delta:Delta):Promise<boolean> {
+    const [insertions, deletions, , resync] = delta;
+    if (resync) {
+      return false;
+    }
+    await this.process([insertions, deletions]);
+    return true;
+  }
+
+  /**
+   * Process insertions and deletions.
+   *
+   * 'set', 'delete' and 'affirm' events emitted while processing have an additional last argument,
+   * `{ id, origin }`, containing the id of the insertion or deletion and the origin of the queue.
+   *
+   * A 'conflict' event is emitted with the key and `{ winner, winningId, winningValue, losingId, losingValue, deleted, origin }`
+   * when an insertion is discarded. `winner` is 'local' if the stored pair was kept, 'incoming' if it was replaced by a
+   * concurrent insertion, or 'deletion' if the incoming insertion had already been deleted, in which case `deleted` is true
+   * and there is no winning id or value. Pairs replaced by insertions which observed them, and concurrent pairs kept as
+   * siblings by `multiValue` maps, are not conflicts.
+   * @param {[Array<*>, Array<*>]} queue - Insertions and deletions
+   * @param {boolean|Object} [options] - Whether to skip flushing, or an object with optional `skipFlush` and `origin` properties
+   * @param {boolean} [options.skipFlush] - Do not flush expired deletions after processing
+   * @param {string} [options.origin] - Origin included in events, for example the id of the peer which published the queue. Defaults to 'local' for local writes and 'remote' otherwise.
+   * @param {[Array<*>, Array<*>]} [publishQueue] - Local insertions and deletions to write to the outbox in the same batch and publish
+   * @return {Promise<void>}
+   */
+  process(queue:[Array<*>, Array<*>], options?: boolean | ProcessOptions = false, publishQueue?: [Array<*>, Array<*>]) {
+    return this.processQueue.add(() => this._process(queue, options, publishQueue)); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _process(queue:[Array<*>, Array<*>], options?: boolean | ProcessOptions = false, publishQueue?: [Array<*>, Array<*>]) {
+    const { skipFlush, origin = publishQueue ? 'local' : 'remote' } = typeof options === 'boolean' ? { skipFlush: options } : options;
+    const [insertions, deletions] = queue;
+    const clock = this.clock;
+    if (clock) {
+      for (const [, [id]] of insertions) {
+        clock.observe(id);
+      }
+      for (const [id] of deletions) {
+        clock.observe(id);
+      }
+    }
+    const batch = new Batch(this.db, this.namespace);
+    const outboxKey = `${this.namespace}@${generateId()}`;
+    if (publishQueue) {
+      batch.put(outboxKey, publishQueue);
+    }
+    const events = [];
+    let sizeDelta = 0;
+    for (const [id, key] of deletions) {
+      if (typeof (await batch.get(`${this.namespace}<${id}`)) === 'undefined') {
+        this.addTombstone(batch, id, key);
+      }
+    }
+    const expirations = [];
+    const conflicts = [];
+    for (const [key, [id, value, expiresAt]] of insertions) {
+      const pair = await batch.get(`${this.namespace}>${key}`);
+      if ((await batch.get(`${this.namespace}<${id}`)) === key) {
+        conflicts.push([key, undefined, [id, value], 'deletion', true]);
+        continue;
+      }
+      const insertedPair = createPair(id, value, expiresAt);
+      if (pair && pair[0] === id) {
+        events.push(['affirm', key, value, pair[1], id]);
+        continue;
+      }
+      if (!pair || (await this.shouldReplace(batch, key, pair, [id, value]))) {
+        const isConcurrent = pair && (await batch.get(`${this.namespace}<${pair[0]}`)) !== key;
+        if (pair && isConcurrent && this.multiValue) {
+          await this.addSibling(batch, key, pair);
+        } else if (pair) {
+          await this.updatePair(batch, key, pair);
+          if (isConcurrent) {
+            conflicts.push([key, [id, value], pair, 'incoming', false]);
+          }
+        }
+        batch.put(`${this.namespace}>${key}`, insertedPair);
+        batch.put(`${this.namespace}^${generateId()}`, `>${key}`);
+        this.updateIndexes(batch, key, pair, insertedPair);
+        if (pair) {
+          batch.updateHashTree(`>${key}`, getEntryHash(`>${key}`, pair[0]), getEntryHash(`>${key}`, id));
+          events.push(['set', key, value, pair[1], id]);
+        } else {
+          batch.updateHashTree(`>${key}`, undefined, getEntryHash(`>${key}`, id));
+          sizeDelta += 1;
+          events.push(['set', key, value, undefined, id]);
+        }
+      } else if (this.multiValue) {
+        await this.addSibling(batch, key, insertedPair);
+      } else {
+        conflicts.push([key, pair, [id, value], 'local', false]);
+        continue;
+      }
+      await this.updatePair(batch, key, undefined, insertedPair);
+      if (typeof expiresAt === 'number') {
+        expirations.push(expiresAt);
+      }
+    }
+    for (const [id, key] of deletions) {
+      const pair = await batch.get(`${this.namespace}>${key}`);
+      const siblings = this.multiValue ? (await batch.get(`${this.namespace}*${key}`)) || [] : [];
+      const tombstoneKey = await batch.get(`${this.namespace}<${id}`);
+      if (tombstoneKey !== key && ((pair && pair[0] === id) || siblings.some(([siblingId]) => siblingId === id))) {
+        // The id was tombstoned for another key, the stored pair shows which key it belongs to
+        this.addTombstone(batch, id, key, tombstoneKey);
+      }
+      if (pair && pair[0] === id) {
+        if (siblings.length > 0) {
+          const [sibling, ...remainingSiblings] = siblings;
+          batch.put(`${this.namespace}>${key}`, sibling);
+          batch.updateHashTree(`>${key}`, getEntryHash(`>${key}`, id), getEntryHash(`>${key}`, sibling[0]));
+          this.updateIndexes(batch, key, pair, sibling);
+          this.updateSiblings(batch, key, siblings, remainingSiblings);
+          events.push(['set', key, sibling[1], pair[1], sibling[0]]);
+        } else {
+          batch.del(`${this.namespace}>${key}`);
+          batch.updateHashTree(`>${key}`, getEntryHash(`>${key}`, id));
+          this.updateIndexes(batch, key, pair);
+          sizeDelta -= 1;
+          events.push(['delete', key, undefined, pair[1], id]);
+        }
+        await this.updatePair(batch, key, pair);
+      } else {
+        const sibling = siblings.find(([siblingId]) => siblingId === id);
+        if (sibling) {
+          this.updateSiblings(batch, key, siblings, siblings.filter(([siblingId]) => siblingId !== id));
+          await this.updatePair(batch, key, sibling);
+        }
+      }
+    }
+    if (sizeDelta !== 0) {
+      batch.put(`${this.namespace}!size`, this.size + sizeDelta);
+    }
+    await this.commit(batch);
+    this.size += sizeDelta;
+    for (const expiresAt of expirations) {
+      this.scheduleExpiry(expiresAt);
+    }
+    if (publishQueue) {
+      this.insertQueue.push(...publishQueue[0]);
+      this.deleteQueue.push(...publishQueue[1]);
+      this.outboxKeys.push(outboxKey);
+    }
+    for (const [type, key, value, previousValue, id] of events) {
+      if (type === 'delete') {
+        this.emit(type, key, previousValue, { id, origin });
+      } else {
+        this.emit(type, key, value, previousValue, { id, origin });
+      }
+      this.emit('change', { type, key, value, previousValue, id, origin });
+    }
+    for (const [key, winningPair, losingPair, winner, deleted] of conflicts) {
+      this.emit('conflict', key, {
+        winner,
+        winningId: winningPair ? winningPair[0] : undefined,
+        winningValue: winningPair ? winningPair[1] : undefined,
+        losingId: losingPair[0],
+        losingValue: losingPair[1],
+        deleted,
+        origin,
+      });
+    }
+    if (!skipFlush) {
+      await this._flush(); // eslint-disable-line no-underscore-dangle
+    }
+  }
+
+  /**
+   * Generate an id for a local insertion using the map's hybrid logical clock if one was provided.
+   * @return {string}
+   */
+  generateId():string {
+    if (this.clock) {
+      return this.clock.generateId();
+    }
+    return generateId();
+  }
+
+  /**
+   * Determine whether an insertion replaces the current pair for a key.
+   *
+   * By default the pair with the larger id wins. If a `resolve` option was provided and the current
+   * pair has not been deleted, meaning the insertion is concurrent with it rather than a later write
+   * which observed it, `resolve(key, localPair, remotePair)` returns the winning pair. It must return
+   * one of its arguments and choose the same pair regardless of argument order so that replicas converge.
+   * Resolvers which return any other pair, for example one with merged values, throw an error, as the merged
+   * value would be stored under an id which other replicas associate with a different value.
+   * @param {Batch} batch - Batch being processed
+   * @param {string} key - Key
+   * @param {[string, V]} pair - Current pair
+   * @param {[string, V]} insertion - Inserted pair
+   * @return {Promise<boolean>}
+   */
+  async shouldReplace(batch:Batch, key:string, pair:[string, V], insertion:[string, V]):Promise<boolean> {
+    const resolve = this.resolve;
+    if (!resolve || (await batch.get(`${this.namespace}<${pair[0]}`)) === key) {
+      return pair[0] < insertion[0];
+    }
+    const [resolvedId, resolvedValue] = resolve(key, pair, insertion);
+    const resolvedPair = resolvedId === insertion[0] ? insertion : pair;
+    if (resolvedId !== resolvedPair[0] || stringify(resolvedValue) !== stringify(resolvedPair[1])) {
+      throw new Error(`Unable to resolve key "${key}", resolve must return one of its arguments`);
+    }
+    return resolvedPair === insertion;
+  }
+
+  /**
+   * Keep a pair which is concurrent with the current pair for a key as a sibling.
+   * @param {Batch} batch - Batch being processed
+   * @param {string} key - Key
+   * @param {[string, V]} pair - Sibling pair, `[id]` if the value is undefined
+   * @return {Promise<void>}
+   */
+  async addSibling(batch:Batch, key:string, pair:Array<*>):Promise<void> {
+    const siblings = (await batch.get(`${this.namespace}*${key}`)) || [];
+    if (siblings.some(([id]) => id === pair[0])) {
+      return;
+    }
+    this.updateSiblings(batch, key, siblings, siblings.concat([pair]).sort((x, y) => (x[0] < y[0] ? 1 : -1)));
+    batch.put(`${this.namespace}^${generateId()}`, `*${key}`);
+  }
+
+  updateSiblings(batch:Batch, key:string, previousSiblings:Array<[string, V]>, siblings:Array<[string, V]>) {
+    if (siblings.length > 0) {
+      batch.put(`${this.namespace}*${key}`, siblings);
+    } else {
+      batch.del(`${this.namespace}*${key}`);
+    }
+    const previousEntryHash = previousSiblings.length > 0 ? getEntryHash(`*${key}`, previousSiblings.map(([id]) => id).join(',')) : undefined;
+    const entryHash = siblings.length > 0 ? getEntryHash(`*${key}`, siblings.map(([id]) => id).join(',')) : undefined;
+    batch.updateHashTree(`*${key}`, previousEntryHash, entryHash);
+  }
+
+  /**
+   * Write the tombstone of a deleted id. Tombstones only apply to insertions of the key they were written for.
+   * @param {Batch} batch - Batch being processed
+   * @param {string} id - Deleted id
+   * @param {string} key - Key
+   * @param {string} [previousKey] - Key of a tombstone with the same id being replaced
+   * @return {void}
+   */
+  addTombstone(batch:Batch, id:string, key:string, previousKey?:string) {
+    batch.put(`${this.namespace}<${id}`, key);
+    batch.put(`${this.namespace}^${generateId()}`, `<${id}`);
+    batch.updateHashTree(`<${id}`, typeof previousKey === 'string' ? getEntryHash(`<${id}`, previousKey) : undefined, getEntryHash(`<${id}`, key));
+  }
+
+  /**
+   * Called when a pair is stored, as the current pair or as a sibling, and when a stored pair is removed.
+   * Records kept for each stored pair are written to and removed from the batch being processed.
+   * @param {Batch} batch - Batch being processed
+   * @param {string} key - Key
+   * @param {Array<any>} [previousPair] - Pair being removed
+   * @param {Array<any>} [pair] - Pair being stored
+   * @return {Promise<void>}
+   */
+  async updatePair(batch:Batch, key:string, previousPair?:$ReadOnlyArray<any>, pair?:$ReadOnlyArray<any>) {
+    this.updateExpiryIndex(batch, key, previousPair, pair);
+  }
+
+  /**
+   * Remove a pair from and add a pair to the `&` index of expiry times, if the pairs have expiry times.
+   * @param {Batch} batch - Batch being processed
+   * @param {string} key - Key
+   * @param {Array<any>} [previousPair] - Pair being removed
+   * @param {Array<any>} [pair] - Pair being added
+   * @return {void}
+   */
+  updateExpiryIndex(batch:Batch, key:string, previousPair?:$ReadOnlyArray<any>, pair?:$ReadOnlyArray<any>) {
+    if (previousPair && typeof previousPair[2] === 'number') {
+      batch.del(`${this.namespace}&${getExpiryString(previousPair[2])}${previousPair[0]}`);
+    }
+    if (pair && typeof pair[2] === 'number') {
+      batch.put(`${this.namespace}&${getExpiryString(pair[2])}${pair[0]}`, key);
+    }
+  }
+
+  /**
+   * Get the index key for a value. Undefined and null values are left out of indexes, as are values for which
+   * the index function throws, in which case an 'indexError' event is emitted with the error, the index name and the key.
+   * @param {string} name - Name of the index
+   * @param {Function} getIndexKey - Index function
+   * @param {string} key - Key
+   * @param {V} value - Value
+   * @return {string|void}
+   */
+  callIndex(name:string, getIndexKey:(value:V) => string | void, key:string, value:V):string | void {
+    if (typeof value === 'undefined' || value === null) {
+      return undefined;
+    }
+    try {
+      return getIndexKey(value);
+    } catch (error) {
+      this.emit('indexError', error, name, key);
+      return undefined;
+    }
+  }
+
+  /**
+   * Remove the previous pair for a key from and add the current pair to each secondary index.
+   * @param {Batch} batch - Batch being processed
+   * @param {string} key - Key
+   * @param {Array<any>} [previousPair] - Pair being replaced or deleted
+   * @param {Array<any>} [pair] - Pair being written
+   * @return {void}
+   */
+  updateIndexes(batch:Batch, key:string, previousPair?:$ReadOnlyArray<any>, pair?:$ReadOnlyArray<any>) {
+    for (const [name, getIndexKey] of this.indexes) {
+      const previousIndexKey = previousPair ? this.callIndex(name, getIndexKey, key, previousPair[1]) : undefined;
+      const indexKey = pair ? this.callIndex(name, getIndexKey, key, pair[1]) : undefined;
+      if (previousIndexKey === indexKey) {
+        continue;
+      }
+      if (typeof previousIndexKey === 'string') {
+        batch.del(`${this.namespace}$${name}\u0000${previousIndexKey}\u0000${key}`);
+      }
+      if (typeof indexKey === 'string') {
+        batch.put(`${this.namespace}$${name}\u0000${indexKey}\u0000${key}`, key);
+      }
+    }
+  }
+
+  /**
+   * Create a secondary index, or rebuild an index created by an earlier instance of the map. Indexes are kept
+   * up to date as pairs are written and deleted, and must be created again each time the map is instantiated.
+   * @param {string} name - Name of the index
+   * @param {Function} getIndexKey - Function which returns the string to index a value by, or undefined to leave the value out of the index. It is not called for undefined or null values.
+   * @return {Promise<void>}
+   */
+  createIndex(name:string, getIndexKey:(value:V) => string | void):Promise<void> {
+    if (name.includes('\u0000')) {
+      throw new Error('Index names may not contain \\u0000');
+    }
+    this.indexes.set(name, getIndexKey);
+    return this.processQueue.add(() => this._createIndex(name, getIndexKey)); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _createIndex(name:string, getIndexKey:(value:V) => string | void):Promise<void> {
+    await this.db.clear({ gt: `${this.namespace}$${name}\u0000`, lt: `${this.namespace}$${name}\u0001` });
+    const batch = new Batch(this.db, this.namespace);
+    for (const [key, pair] of await this.pairs()) {
+      const indexKey = this.callIndex(name, getIndexKey, key, pair[1]);
+      if (typeof indexKey === 'string') {
+        batch.put(`${this.namespace}$${name}\u0000${indexKey}\u0000${key}`, key);
+      }
+    }
+    await this.commit(batch);
+  }
+
+  /**
+   * Iterate through the entries in a secondary index, ordered by index key.
+   * @param {string} name - Name of the index
+   * @param {Object} [options]
+   * @param {string} [options.eq] - Only include entries with this index key
+   * @param {string} [options.gt] - Only include entries with index keys greater than this
+   * @param {string} [options.lt] - Only include entries with index keys less than this
+   * @return {AsyncGenerator<[string, V]>}
+   */
+  async* query(name:string, options?:QueryOptions = {}):AsyncGenerator<[string, V], void, void> {
+    if (!this.indexes.has(name)) {
+      throw new Error(`Index "${name}" does not exist`);
+    }
+    const { eq, gt, lt } = options;
+    const prefix = `${this.namespace}$${name}\u0000`;
+    let start = typeof gt === 'string' ? `${prefix}${gt}\u0001` : prefix;
+    let end = typeof lt === 'string' ? `${prefix}${lt}\u0000` : `${this.namespace}$${name}\u0001`;
+    if (typeof eq === 'string') {
+      start = `${prefix}${eq}\u0000`;
+      end = `${prefix}${eq}\u0001`;
+    }
+    const iterator = this.db.iterator({ gt: start, lt: end, keys: false });
+    try {
+      while (true) { // eslint-disable-line  no-constant-condition
+        const key = await new Promise((resolve, reject) => {
+          iterator.next((error:Error | void, k: void, v: string | void) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve(v);
+            }
+          });
+        });
+        if (typeof key !== 'string') {
+          break;
+        }
+        const pair = await this.getPair(key);
+        if (pair) {
+          yield [key, pair[1]];
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => {
+        iterator.end((error:Error | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Get the pair for a key and, if the map was created with the `multiValue` option, any concurrently set siblings.
+   * @param {string} key - Key
+   * @return {Promise<Array<[string, V]>>} Array of ids and values, ordered by id with the current pair first
+   */
+  async getAll(key:string): Promise<Array<[string, V]>> {
+    const pair = await this.getPair(key);
+    if (!pair) {
+      return [];
+    }
+    if (!this.multiValue) {
+      return [pair];
+    }
+    try {
+      const siblings = await this.db.get(`${this.namespace}*${key}`);
+      return [pair].concat(siblings.filter((sibling) => !isExpired(sibling)));
+    } catch (error) {
+      if (error.notFound) {
+        return [pair];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stored pair and siblings for a key, including pairs which have expired but not yet been deleted,
+   * so that local writes observe and tombstone them.
+   * @param {string} key - Key
+   * @return {Promise<Array<[string, V]>>} Array of ids and values
+   */
+  async getStoredPairs(key:string): Promise<Array<[string, V]>> {
+    const pairs = [];
+    try {
+      pairs.push(await this.db.get(`${this.namespace}>${key}`));
+    } catch (error) {
+      if (!error.notFound) {
+        throw error;
+      }
+    }
+    if (!this.multiValue) {
+      return pairs;
+    }
+    try {
+      return pairs.concat(await this.db.get(`${this.namespace}*${key}`));
+    } catch (error) {
+      if (error.notFound) {
+        return pairs;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set the value of a key.
+   * @param {string} key - Key
+   * @param {V} value - Value
+   * @param {string|Object} [options] - Id of the insertion, or an object with optional `id` and `ttl` properties
+   * @param {string} [options.id] - Id of the insertion
+   * @param {number} [options.ttl] - Milliseconds until the key expires. The expiry time is published with the insertion so that every replica deletes the key at the same time.
+   * @return {Promise<void>}
+   */
+  async set(key:string, value:V, options?: string | SetOptions): Promise<void> {
+    const { id, ttl } = typeof options === 'string' ? { id: options, ttl: undefined } : options || {};
+    const pairs = await this.getStoredPairs(key);
+    const clock = this.clock;
+    if (clock) {
+      for (const [pairId] of pairs) {
+        clock.observe(pairId);
+      }
+    }
+    const insertId = id || this.generateId();
+    const insertMessage = [key, createPair(insertId, value, typeof ttl === 'number' ? Date.now() + ttl : undefined)];
+    const queue = [[insertMessage], pairs.map(([pairId]) => [pairId, key])];
+    await this.process(queue, true, queue);
+    await this.dequeue();
+  }
+
+  async getPair(key:string): Promise<[string, V] | void> { // eslint-disable-line consistent-return
+    try {
+      const pair = await this.db.get(`${this.namespace}>${key}`);
+      if (isExpired(pair)) {
+        return; // eslint-disable-line consistent-return
+      }
+      return pair; // eslint-disable-line consistent-return
+    } catch (error) {
+      if (error.notFound) {
+        return; // eslint-disable-line consistent-return
+      }
+      throw error;
+    }
+  }
+
+  async get(key:string): Promise<V | void> { // eslint-disable-line consistent-return
+    try {
+      const pair = await this.db.get(`${this.namespace}>${key}`);
+      if (isExpired(pair)) {
+        return; // eslint-disable-line consistent-return
+      }
+      return pair[1]; // eslint-disable-line consistent-return
+    } catch (error) {
+      if (error.notFound) {
+        return; // eslint-disable-line consistent-return
+      }
+      throw error;
+    }
+  }
+
+  async delete(key:string): Promise<void> {
+    const pairs = await this.getStoredPairs(key);
+    if (pairs.length === 0) {
+      return;
+    }
+    const queue = [[], pairs.map(([id]) => [id, key])];
+    await this.process(queue, true, queue);
+    await this.dequeue();
+  }
+
+  async clear(): Promise<void> {
+    for await (const key of this.keys()) {
+      await this.delete(key);
+    }
+  }
+
+  async forEach(callback:Function, thisArg?:any):Promise<void> {
+    if (thisArg) {
+      for await (const [key, value] of this.entries()) {
+        callback.bind(thisArg)(value, key, this);
+      }
+    } else {
+      for await (const [key, value] of this.entries()) {
+        callback(value, key, this);
+      }
+    }
+  }
+
+  async has(key:string): Promise<boolean> {
+    return !!(await this.get(key));
+  }
+
+  /**
+   * Get LevelDB iterator options for a range of keys.
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Only include keys starting with this prefix
+   * @param {string} [options.gt] - Only include keys greater than this
+   * @param {string} [options.gte] - Only include keys greater than or equal to this
+   * @param {string} [options.lt] - Only include keys less than this
+   * @param {string} [options.lte] - Only include keys less than or equal to this
+   * @param {boolean} [options.reverse] - Iterate in descending order
+   * @return {Object}
+   */
+  getIteratorOptions(options?:IteratorOptions = {}):Object {
+    const { prefix, gt, gte, lt, lte, reverse } = options;
+    let lower = ['gt', `${this.namespace}>`];
+    let upper = ['lt', `${this.namespace}?`];
+    const raise = (operator:string, key:string) => {
+      if (key > lower[1] || (key === lower[1] && operator === 'gt')) {
+        lower = [operator, key];
+      }
+    };
+    const reduce = (operator:string, key:string) => {
+      if (key < upper[1] || (key === upper[1] && operator === 'lt')) {
+        upper = [operator, key];
+      }
+    };
+    if (typeof prefix === 'string' && prefix.length > 0) {
+      raise('gte', `${this.namespace}>${prefix}`);
+      reduce('lt', `${this.namespace}>${prefix.slice(0, -1)}${String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1)}`);
+    }
+    if (typeof gt === 'string') {
+      raise('gt', `${this.namespace}>${gt}`);
+    }
+    if (typeof gte === 'string') {
+      raise('gte', `${this.namespace}>${gte}`);
+    }
+    if (typeof lt === 'string') {
+      reduce('lt', `${this.namespace}>${lt}`);
+    }
+    if (typeof lte === 'string') {
+      reduce('lte', `${this.namespace}>${lte}`);
+    }
+    const iteratorOptions:Object = { reverse: !!reverse };
+    iteratorOptions[lower[0]] = lower[1];
+    iteratorOptions[upper[0]] = upper[1];
+    return iteratorOptions;
+  }
+
+  /**
+   * Iterate through the map's keys.
+   * @param {Object} [options] - Range of keys, see `getIteratorOptions()`
+   * @param {number} [options.limit] - Maximum number of keys
+   * @return {AsyncGenerator<string>}
+   */
+  async* keys(options?:IteratorOptions = {}):AsyncGenerator<string, void, void> {
+    const iterator = this.db.iterator(this.getIteratorOptions(options));
+    let remaining = typeof options.limit === 'number' ? options.limit : Infinity;
+    while (remaining > 0) {
+      const [key, pair] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: [string, V] | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (key && pair) {
+        if (!isExpired(pair)) {
+          remaining -= 1;
+          yield key.slice(this.prefixLength);
+        }
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Iterate through the map's keys and values.
+   * @param {Object} [options] - Range of keys, see `getIteratorOptions()`
+   * @param {number} [options.limit] - Maximum number of entries
+   * @return {AsyncGenerator<[string, V]>}
+   */
+  async* entries(options?:IteratorOptions = {}):AsyncGenerator<[string, V], void, void> {
+    const iterator = this.db.iterator(this.getIteratorOptions(options));
+    let remaining = typeof options.limit === 'number' ? options.limit : Infinity;
+    while (remaining > 0) {
+      const [key, pair] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: [string, V] | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (key && pair) {
+        if (!isExpired(pair)) {
+          remaining -= 1;
+          yield [key.slice(this.prefixLength), pair[1]];
+        }
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /* :: @@asyncIterator(): AsyncIterator<[string, V]> { return ({}: any); } */
+  // $FlowFixMe: computed property
+  [Symbol.asyncIterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Iterate through the map's values.
+   * @param {Object} [options] - Range of keys, see `getIteratorOptions()`
+   * @param {number} [options.limit] - Maximum number of values
+   * @return {AsyncGenerator<V>}
+   */
+  async* values(options?:IteratorOptions = {}):AsyncGenerator<V, void, void> {
+    const iterator = this.db.iterator(Object.assign(this.getIteratorOptions(options), { keys: false }));
+    let remaining = typeof options.limit === 'number' ? options.limit : Infinity;
+    while (remaining > 0) {
+      const pair = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: void, v: [string, V] | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(v);
+          }
+        });
+      });
+      if (pair) {
+        if (!isExpired(pair)) {
+          remaining -= 1;
+          yield pair[1];
+        }
+      } else {
         break;
       }
     }
@@ -433,13 +1640,123 @@ export default class ObservedRemoveMap<V> extends EventEmitter {
     });
   }
 
+  /**
+   * Get a page of entries. Pages are read from a single LevelDB snapshot and continue from the last key of
+   * the previous page, so keys which exist for the duration of paging are returned exactly once regardless
+   * of concurrent insertions and deletions.
+   * @param {Object} [options]
+   * @param {string} [options.after] - Cursor returned with the previous page
+   * @param {number} [options.limit=100] - Maximum number of entries
+   * @param {string} [options.prefix] - Only include keys starting with this prefix
+   * @param {boolean} [options.reverse] - Page in descending order
+   * @return {Promise<{entries: Array<[string, V]>, nextCursor: string | void}>} Entries and a cursor for the next page, undefined if there are no more entries
+   */
+  async page(options?:PageOptions = {}):Promise<Page<V>> {
+    const { after, prefix, reverse } = options;
+    const limit = typeof options.limit === 'number' ? options.limit : 100;
+    const iteratorOptions:IteratorOptions = { prefix, reverse, limit: limit + 1 };
+    if (typeof after === 'string') {
+      const key = Buffer.from(after, 'hex').toString('utf8');
+      if (reverse) {
+        iteratorOptions.lt = key;
+      } else {
+        iteratorOptions.gt = key;
+      }
+    }
+    const entries = [];
+    for await (const entry of this.entries(iteratorOptions)) {
+      entries.push(entry);
+    }
+    if (entries.length <= limit) {
+      return { entries, nextCursor: undefined };
+    }
+    entries.pop();
+    return { entries, nextCursor: Buffer.from(entries[entries.length - 1][0], 'utf8').toString('hex') };
+  }
+
+  /**
+   * Watch for changes to a key or to keys with a prefix. Changes are also emitted as 'change' events.
+   *
+   * Changes have a `type` of 'set', 'delete' or 'affirm', and the `origin` included in events, see `process()`.
+   * Call `return()` on the iterator, or break out of a `for await` loop, to stop watching.
+   * @param {Object} [options]
+   * @param {string} [options.key] - Only include changes to this key
+   * @param {string} [options.prefix] - Only include changes to keys starting with this prefix
+   * @param {boolean} [options.initial] - First yield a change with a `type` of 'initial' for each matching pair. No changes are missed or repeated between the initial pairs and subsequent changes.
+   * @return {AsyncGenerator<Change<V>>}
+   */
+  watch(options?:WatchOptions = {}):AsyncGenerator<Change<V>, void, void> {
+    const { key, prefix, initial } = options;
+    const changes:Array<Change<V>> = [];
+    let resolveNext = null;
+    let done = false;
+    const handleChange = (change:Change<V>) => {
+      if (typeof key === 'string' && change.key !== key) {
+        return;
+      }
+      if (typeof prefix === 'string' && !change.key.startsWith(prefix)) {
+        return;
+      }
+      if (resolveNext) {
+        resolveNext({ value: change, done: false });
+        resolveNext = null;
+      } else {
+        changes.push(change);
+      }
+    };
+    const readyPromise = this.processQueue.add(async () => {
+      if (done) {
+        return;
+      }
+      this.on('change', handleChange);
+      if (initial) {
+        const range = typeof key === 'string' ? { gte: key, lte: key, prefix } : { prefix };
+        for (const [pairKey, pair] of await this.pairs(range)) {
+          if (!isExpired(pair)) {
+            changes.push({ type: 'initial', key: pairKey, value: pair[1], previousValue: undefined, id: pair[0], origin: undefined });
+          }
+        }
+      }
+    });
+    const iterator = {
+      next: async () => {
+        await readyPromise;
+        if (changes.length > 0) {
+          return { value: changes.shift(), done: false };
+        }
+        if (done) {
+          return { value: undefined, done: true };
+        }
+        return new Promise((resolve) => {
+          resolveNext = resolve;
+        });
+      },
+      return: async () => {
+        done = true;
+        changes.length = 0;
+        this.removeListener('change', handleChange);
+        if (resolveNext) {
+          resolveNext({ value: undefined, done: true });
+          resolveNext = null;
+        }
+        return { value: undefined, done: true };
+      },
+    };
+    // $FlowFixMe: computed property
+    iterator[Symbol.asyncIterator] = () => iterator;
+    return (iterator:any);
+  }
+
   async shutdown() {
+    this.isShutdown = true;
     clearTimeout(this.publishTimeout);
+    clearTimeout(this.expireTimeout);
     // $FlowFixMe
     await new Promise((resolve) => queueMicrotask(resolve));
     await Promise.all([
       this.processQueue.onIdle(),
       this.dequeueQueue.onIdle(),
+      this.hashTreeQueue.onIdle(),
     ]);
   }
 }
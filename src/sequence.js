@@ -0,0 +1,517 @@
+// @flow
+
+import PQueue from 'p-queue';
+import EventEmitter from 'events';
+import generateId from './generate-id';
+import Batch from './batch';
+
+type Options = {
+  maxAge?:number,
+  bufferPublishing?:number,
+  namespace?: string
+};
+
+// Insertions, deletions and optionally moves
+type Queue = $ReadOnlyArray<Array<*>>;
+
+const MIN_CHARACTER_CODE = 32;
+const MAX_CHARACTER_CODE = 127;
+
+/**
+ * Generate a position which sorts after `previous` and before `next`. Positions are treated as fractions
+ * with a digit for each character code, so there is always room for another position between two others.
+ * @param {string} previous - Sort key of the preceding item, or an empty string for the start of the sequence
+ * @param {string} [next] - Sort key of the following item, omitted for the end of the sequence
+ * @return {string}
+ */
+const getPositionBetween = (previous:string, next?:string):string => {
+  let position = '';
+  let bounded = typeof next === 'string';
+  const length = Math.max(previous.length, next ? next.length : 0);
+  for (let i = 0; i <= length; i += 1) {
+    const x = i < previous.length ? previous.charCodeAt(i) : MIN_CHARACTER_CODE;
+    const y = bounded && typeof next === 'string' && i < next.length ? next.charCodeAt(i) : MAX_CHARACTER_CODE;
+    if (y - x > 1) {
+      return position + String.fromCharCode(Math.floor((x + y) / 2));
+    }
+    if (y - x === 1) {
+      bounded = false;
+    }
+    position += String.fromCharCode(x);
+  }
+  throw new Error(`Unable to generate a position between ${previous} and ${String(next)}`);
+};
+
+/**
+ * Class representing an Observed Remove Sequence
+ *
+ * Items are stored at `>${position} ${id}` as `[id, value]`, where positions are generated between the sort keys
+ * of neighboring items so that LevelDB keeps items in order. Ids break ties between concurrent insertions at the
+ * same position. Deletions are stored at `<${id}` as the position of the deleted item.
+ *
+ * The current position of each item is stored at `+${id}` as `[version, position]`, where the version is the id of
+ * the insertion or of the latest move. Moving an item gives it a new position with a new version, and the position
+ * with the largest version wins, so concurrent moves of the same item converge on one of the moves.
+ *
+ * Queues contain insertions as `[id, position, value]`, deletions as `[id, position]` and, optionally, moves as
+ * `[id, position, version]`.
+ */
+export default class ObservedRemoveSequence<V> extends EventEmitter {
+  declare maxAge: number;
+  declare bufferPublishing: number;
+  declare deleteQueue: Array<*>;
+  declare insertQueue: Array<*>;
+  declare moveQueue: Array<*>;
+  declare publishTimeout: null | TimeoutID;
+  declare readyPromise: Promise<void>;
+  declare db: Object;
+  declare namespace: string;
+  declare prefixLength: number;
+  declare size: number;
+  declare processQueue: PQueue;
+  declare dequeueQueue: PQueue;
+
+  constructor(db:Object, entries?: Iterable<V>, options?:Options = {}) {
+    super();
+    this.db = db;
+    this.namespace = options.namespace || '';
+    this.prefixLength = this.namespace.length + 1;
+    this.maxAge = typeof options.maxAge === 'undefined' ? 5000 : options.maxAge;
+    this.bufferPublishing = typeof options.bufferPublishing === 'undefined' ? 0 : options.bufferPublishing;
+    this.publishTimeout = null;
+    this.insertQueue = [];
+    this.deleteQueue = [];
+    this.moveQueue = [];
+    this.size = 0;
+    this.processQueue = new PQueue({ concurrency: 1 });
+    this.dequeueQueue = new PQueue();
+    this.readyPromise = (async () => {
+      await this.updateSize();
+      if (entries) {
+        for (const value of entries) {
+          await this.push(value);
+        }
+      }
+    })();
+  }
+
+  async updateSize() {
+    let size = 0;
+    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?`, values: false });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const key = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(k);
+          }
+        });
+      });
+      if (key) {
+        size += 1;
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    this.size = size;
+  }
+
+  dequeue() {
+    return this.dequeueQueue.add(() => this._dequeue()); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _dequeue() {
+    if (this.publishTimeout) {
+      return;
+    }
+    if (this.bufferPublishing > 0) {
+      this.publishTimeout = setTimeout(() => this.dequeueQueue.add(() => this.publish()), this.bufferPublishing);
+    } else {
+      await this.publish();
+    }
+  }
+
+  async publish() {
+    this.publishTimeout = null;
+    const insertQueue = this.insertQueue;
+    const deleteQueue = this.deleteQueue;
+    const moveQueue = this.moveQueue;
+    this.insertQueue = [];
+    this.deleteQueue = [];
+    this.moveQueue = [];
+    await this.sync(moveQueue.length > 0 ? [insertQueue, deleteQueue, moveQueue] : [insertQueue, deleteQueue]);
+  }
+
+  async flush():Promise<void> {
+    const maxAgeString = (Date.now() - this.maxAge).toString(36).padStart(9, '0');
+    await this.db.clear({ gt: `${this.namespace}<`, lt: `${this.namespace}<${maxAgeString}` });
+  }
+
+  /**
+   * Emit a 'publish' event containing a specified queue or all of the sequence's insertions and deletions.
+   * @param {Array<Array<any>>} queue - Array of insertions, deletions and moves
+   * @return {void}
+   */
+  async sync(queue?: Queue) {
+    if (queue) {
+      this.emit('publish', queue);
+    } else {
+      this.emit('publish', await this.dump());
+    }
+  }
+
+  /**
+   * Iterate through the sequence's items in order.
+   * @return {AsyncGenerator<[string, string, V]>} Sort keys, ids and values
+   */
+  async* items():AsyncGenerator<[string, string, V], void, void> {
+    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?` });
+    try {
+      while (true) { // eslint-disable-line  no-constant-condition
+        const [key, pair] = await new Promise((resolve, reject) => {
+          iterator.next((error:Error | void, k: string | void, v: [string, V] | void) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve([k, v]);
+            }
+          });
+        });
+        if (key && pair) {
+          yield [key.slice(this.prefixLength), pair[0], pair[1]];
+        } else {
+          break;
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => {
+        iterator.end((error:Error | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
+  async deletions():Promise<Array<[string, string]>> {
+    const deletions = [];
+    const iterator = this.db.iterator({ gt: `${this.namespace}<`, lt: `${this.namespace}=` });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const [id, position] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: string | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (id && typeof position === 'string') {
+        deletions.push([id.slice(this.prefixLength), position]);
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    return deletions;
+  }
+
+  /**
+   * Return an array containing all of the sequence's insertions, deletions and moves.
+   * @return {[Array<*>, Array<*>, Array<*>]>}
+   */
+  async dump():Promise<[Array<*>, Array<*>, Array<*>]> {
+    const insertions = [];
+    const moves = [];
+    for await (const [sortKey, id, value] of this.items()) {
+      const position = sortKey.slice(0, sortKey.length - id.length - 1);
+      insertions.push(typeof value === 'undefined' ? [id, position] : [id, position, value]);
+      const placement = await this.db.get(`${this.namespace}+${id}`);
+      if (placement[0] !== id) {
+        moves.push([id, position, placement[0]]);
+      }
+    }
+    return [insertions, await this.deletions(), moves];
+  }
+
+  process(queue:Queue, skipFlush?: boolean = false) {
+    return this.processQueue.add(() => this._process(queue, skipFlush)); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _process(queue:Queue, skipFlush?: boolean = false) {
+    const [insertions, deletions, moves = []] = queue;
+    const batch = new Batch(this.db, this.namespace);
+    const events = [];
+    let sizeDelta = 0;
+    for (const [id, position] of deletions) {
+      batch.put(`${this.namespace}<${id}`, position);
+    }
+    for (const [id, position, value] of insertions) {
+      if (typeof (await batch.get(`${this.namespace}<${id}`)) !== 'undefined') {
+        continue;
+      }
+      const placement = await batch.get(`${this.namespace}+${id}`);
+      const key = `${this.namespace}>${placement ? placement[1] : position} ${id}`;
+      if (await batch.get(key)) {
+        events.push(['affirm', value, id]);
+        continue;
+      }
+      if (!placement) {
+        batch.put(`${this.namespace}+${id}`, [id, position]);
+      }
+      batch.put(key, typeof value === 'undefined' ? [id] : [id, value]);
+      sizeDelta += 1;
+      events.push(['insert', value, id]);
+    }
+    for (const [id, position, version] of moves) {
+      if (typeof (await batch.get(`${this.namespace}<${id}`)) !== 'undefined') {
+        continue;
+      }
+      const placement = await batch.get(`${this.namespace}+${id}`);
+      if (placement && placement[0] >= version) {
+        continue;
+      }
+      // Moves may arrive before insertions, in which case the insertion uses the position of the move
+      batch.put(`${this.namespace}+${id}`, [version, position]);
+      const pair = placement ? await batch.get(`${this.namespace}>${placement[1]} ${id}`) : undefined;
+      if (pair && placement && placement[1] !== position) {
+        batch.del(`${this.namespace}>${placement[1]} ${id}`);
+        batch.put(`${this.namespace}>${position} ${id}`, pair);
+        events.push(['move', pair[1], id]);
+      }
+    }
+    for (const [id, position] of deletions) {
+      const placement = await batch.get(`${this.namespace}+${id}`);
+      const key = `${this.namespace}>${placement ? placement[1] : position} ${id}`;
+      const pair = await batch.get(key);
+      if (pair) {
+        batch.del(key);
+        sizeDelta -= 1;
+        events.push(['delete', pair[1], id]);
+      }
+      if (placement) {
+        batch.del(`${this.namespace}+${id}`);
+      }
+    }
+    await batch.commit();
+    this.size += sizeDelta;
+    for (const args of events) {
+      this.emit(...args);
+    }
+    if (!skipFlush) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Get the item at an index.
+   * @param {number} index - Index
+   * @param {string} [excludeId] - Id of an item to skip, as if it had been removed
+   * @return {Promise<[string, string, V] | void>} Sort key, id and value
+   */
+  async getItem(index:number, excludeId?:string):Promise<[string, string, V] | void> { // eslint-disable-line consistent-return
+    if (index < 0) {
+      return; // eslint-disable-line consistent-return
+    }
+    let i = 0;
+    for await (const item of this.items()) {
+      if (item[1] === excludeId) {
+        continue;
+      }
+      if (i === index) {
+        return item; // eslint-disable-line consistent-return
+      }
+      i += 1;
+    }
+  }
+
+  /**
+   * Generate a position for an item inserted at an index.
+   * @param {number} index - Index
+   * @param {string} [excludeId] - Id of an item to skip, as if it had been removed
+   * @return {Promise<string>}
+   */
+  async getPosition(index:number, excludeId?:string):Promise<string> {
+    if (index >= this.size) {
+      return getPositionBetween(await this.getLastSortKey(excludeId));
+    }
+    let previousSortKey = '';
+    let i = 0;
+    for await (const [sortKey, id] of this.items()) {
+      if (id === excludeId) {
+        continue;
+      }
+      if (i === index) {
+        return getPositionBetween(previousSortKey, sortKey);
+      }
+      previousSortKey = sortKey;
+      i += 1;
+    }
+    return getPositionBetween(previousSortKey);
+  }
+
+  /**
+   * Get the sort key of the last item.
+   * @param {string} [excludeId] - Id of an item to skip, as if it had been removed
+   * @return {Promise<string>} Sort key, or an empty string if the sequence is empty
+   */
+  async getLastSortKey(excludeId?:string):Promise<string> {
+    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?`, reverse: true, limit: 2 });
+    let lastSortKey = '';
+    while (true) { // eslint-disable-line  no-constant-condition
+      const [key, pair] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: [string, V] | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (!key || !pair) {
+        break;
+      }
+      if (pair[0] !== excludeId) {
+        lastSortKey = key.slice(this.prefixLength);
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    return lastSortKey;
+  }
+
+  /**
+   * Insert a value at an index. Indexes greater than the length of the sequence append the value.
+   * @param {number} index - Index
+   * @param {V} value - Value
+   * @param {string} [id] - Id of the insertion
+   * @return {Promise<void>}
+   */
+  async insertAt(index:number, value:V, id?: string = generateId()):Promise<void> {
+    const position = await this.getPosition(Math.max(0, Math.min(index, this.size)));
+    const insertMessage = typeof value === 'undefined' ? [id, position] : [id, position, value];
+    await this.process([[insertMessage], []], true);
+    this.insertQueue.push(insertMessage);
+    await this.dequeue();
+  }
+
+  push(value:V):Promise<void> {
+    return this.insertAt(this.size, value);
+  }
+
+  async deleteAt(index:number):Promise<void> {
+    const item = await this.getItem(index);
+    if (!item) {
+      return;
+    }
+    const [sortKey, id] = item;
+    const deleteMessage = [id, sortKey.slice(0, sortKey.length - id.length - 1)];
+    await this.process([[], [deleteMessage]], true);
+    this.deleteQueue.push(deleteMessage);
+    await this.dequeue();
+  }
+
+  /**
+   * Move the value at one index to another. The item keeps its id, and if it is moved concurrently by
+   * several replicas the move with the largest version wins.
+   * @param {number} fromIndex - Index of the value
+   * @param {number} toIndex - Index of the value after it has been moved
+   * @return {Promise<void>}
+   */
+  async move(fromIndex:number, toIndex:number):Promise<void> {
+    const item = await this.getItem(fromIndex);
+    if (!item) {
+      return;
+    }
+    const [, id] = item;
+    const position = await this.getPosition(Math.max(0, Math.min(toIndex, this.size - 1)), id);
+    const moveMessage = [id, position, generateId()];
+    await this.process([[], [], [moveMessage]], true);
+    this.moveQueue.push(moveMessage);
+    await this.dequeue();
+  }
+
+  async get(index:number):Promise<V | void> { // eslint-disable-line consistent-return
+    const item = await this.getItem(index);
+    if (item) {
+      return item[2];
+    }
+  }
+
+  async clear():Promise<void> {
+    while (this.size > 0) {
+      await this.deleteAt(0);
+    }
+  }
+
+  async forEach(callback:Function, thisArg?:any):Promise<void> {
+    if (thisArg) {
+      for await (const [index, value] of this.entries()) {
+        callback.bind(thisArg)(value, index, this);
+      }
+    } else {
+      for await (const [index, value] of this.entries()) {
+        callback(value, index, this);
+      }
+    }
+  }
+
+  async* values():AsyncGenerator<V, void, void> {
+    for await (const [, , value] of this.items()) {
+      yield value;
+    }
+  }
+
+  async* entries():AsyncGenerator<[number, V], void, void> {
+    let index = 0;
+    for await (const [, , value] of this.items()) {
+      yield [index, value];
+      index += 1;
+    }
+  }
+
+  /* :: @@asyncIterator(): AsyncIterator<V> { return ({}: any); } */
+  // $FlowFixMe: computed property
+  [Symbol.asyncIterator]() {
+    return this.values();
+  }
+
+  async shutdown() {
+    clearTimeout(this.publishTimeout);
+    // $FlowFixMe
+    await new Promise((resolve) => queueMicrotask(resolve));
+    await Promise.all([
+      this.processQueue.onIdle(),
+      this.dequeueQueue.onIdle(),
+    ]);
+  }
+}
@@ -0,0 +1,371 @@
+// @flow
+
+import PQueue from 'p-queue';
+import EventEmitter from 'events';
+import { hash64 } from '@bunchtogether/hash-object';
+import generateId from './generate-id';
+import Batch from './batch';
+
+type Options = {
+  maxAge?:number,
+  bufferPublishing?:number,
+  namespace?: string
+};
+
+/**
+ * Class representing an Observed Remove Set
+ *
+ * Implements all methods and iterators of the native `Set` object in addition to the following.
+ * See: {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set}
+ *
+ * Values are stored by hash using the same namespace layout as `ObservedRemoveMap`,
+ * `>${hash}` for insertions and `<${id}` for deletions.
+ */
+export default class ObservedRemoveSet<T> extends EventEmitter {
+  declare maxAge: number;
+  declare bufferPublishing: number;
+  declare deleteQueue: Array<*>;
+  declare insertQueue: Array<*>;
+  declare publishTimeout: null | TimeoutID;
+  declare readyPromise: Promise<void>;
+  declare db: Object;
+  declare namespace: string;
+  declare prefixLength: number;
+  declare size: number;
+  declare processQueue: PQueue;
+  declare dequeueQueue: PQueue;
+
+  constructor(db:Object, entries?: Iterable<T>, options?:Options = {}) {
+    super();
+    this.db = db;
+    this.namespace = options.namespace || '';
+    this.prefixLength = this.namespace.length + 1;
+    this.maxAge = typeof options.maxAge === 'undefined' ? 5000 : options.maxAge;
+    this.bufferPublishing = typeof options.bufferPublishing === 'undefined' ? 0 : options.bufferPublishing;
+    this.publishTimeout = null;
+    this.insertQueue = [];
+    this.deleteQueue = [];
+    this.size = 0;
+    this.readyPromise = (async () => {
+      await this.updateSize();
+      const promises = [];
+      if (entries) {
+        for (const value of entries) {
+          promises.push(this.add(value));
+        }
+      }
+      await Promise.all(promises);
+    })();
+    this.processQueue = new PQueue({ concurrency: 1 });
+    this.dequeueQueue = new PQueue();
+  }
+
+  async updateSize() {
+    let size = 0;
+    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?`, values: false });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const key = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(k);
+          }
+        });
+      });
+      if (key) {
+        size += 1;
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    this.size = size;
+  }
+
+  dequeue() {
+    return this.dequeueQueue.add(() => this._dequeue()); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _dequeue() {
+    if (this.publishTimeout) {
+      return;
+    }
+    if (this.bufferPublishing > 0) {
+      this.publishTimeout = setTimeout(() => this.dequeueQueue.add(() => this.publish()), this.bufferPublishing);
+    } else {
+      await this.publish();
+    }
+  }
+
+  async publish() {
+    this.publishTimeout = null;
+    const insertQueue = this.insertQueue;
+    const deleteQueue = this.deleteQueue;
+    this.insertQueue = [];
+    this.deleteQueue = [];
+    await this.sync([insertQueue, deleteQueue]);
+  }
+
+  async flush():Promise<void> {
+    const maxAgeString = (Date.now() - this.maxAge).toString(36).padStart(9, '0');
+    await this.db.clear({ gt: `${this.namespace}<`, lt: `${this.namespace}<${maxAgeString}` });
+  }
+
+  /**
+   * Emit a 'publish' event containing a specified queue or all of the set's insertions and deletions.
+   * @param {Array<Array<any>>} queue - Array of insertions and deletions
+   * @return {void}
+   */
+  async sync(queue?: [Array<*>, Array<*>]) {
+    if (queue) {
+      this.emit('publish', queue);
+    } else {
+      this.emit('publish', await this.dump());
+    }
+  }
+
+  async pairs():Promise<Array<[string, T]>> {
+    const pairs:Array<[string, T]> = [];
+    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?`, keys: false });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const pair = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: void, v: [string, T] | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(v);
+          }
+        });
+      });
+      if (pair) {
+        pairs.push(pair);
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    return pairs;
+  }
+
+  async deletions():Promise<Array<[string, string]>> {
+    const deletions = [];
+    const iterator = this.db.iterator({ gt: `${this.namespace}<`, lt: `${this.namespace}=` });
+    while (true) { // eslint-disable-line  no-constant-condition
+      const [id, hash] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: string | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (id && hash) {
+        deletions.push([id.slice(this.prefixLength), hash]);
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    return deletions;
+  }
+
+  /**
+   * Return an array containing all of the set's insertions and deletions.
+   * @return {[Array<*>, Array<*>]>}
+   */
+  async dump():Promise<[Array<*>, Array<*>]> {
+    return Promise.all([this.pairs(), this.deletions()]);
+  }
+
+  process(queue:[Array<*>, Array<*>], skipFlush?: boolean = false) {
+    return this.processQueue.add(() => this._process(queue, skipFlush)); // eslint-disable-line no-underscore-dangle
+  }
+
+  async _process(queue:[Array<*>, Array<*>], skipFlush?: boolean = false) {
+    const [insertions, deletions] = queue;
+    const batch = new Batch(this.db, this.namespace);
+    const events = [];
+    let sizeDelta = 0;
+    for (const [id, hash] of deletions) {
+      batch.put(`${this.namespace}<${id}`, hash);
+    }
+    for (const [id, value] of insertions) {
+      if (typeof (await batch.get(`${this.namespace}<${id}`)) !== 'undefined') {
+        continue;
+      }
+      const hash = hash64(value);
+      const pair = await batch.get(`${this.namespace}>${hash}`);
+      if (!pair) {
+        batch.put(`${this.namespace}>${hash}`, [id, value]);
+        sizeDelta += 1;
+        events.push(['add', value]);
+      } else if (pair[0] < id) {
+        batch.put(`${this.namespace}>${hash}`, [id, value]);
+      } else if (pair[0] === id) {
+        events.push(['affirm', value]);
+      }
+    }
+    for (const [id, hash] of deletions) {
+      const pair = await batch.get(`${this.namespace}>${hash}`);
+      if (pair && pair[0] === id) {
+        batch.del(`${this.namespace}>${hash}`);
+        sizeDelta -= 1;
+        events.push(['delete', pair[1]]);
+      }
+    }
+    await batch.commit();
+    this.size += sizeDelta;
+    for (const args of events) {
+      this.emit(...args);
+    }
+    if (!skipFlush) {
+      await this.flush();
+    }
+  }
+
+  async add(value:T, id?: string = generateId()): Promise<void> {
+    const hash = hash64(value);
+    const insertMessage = [id, value];
+    try {
+      const pair = await this.db.get(`${this.namespace}>${hash}`);
+      const deleteMessage = [pair[0], hash];
+      await this.process([[insertMessage], [deleteMessage]], true);
+      this.deleteQueue.push(deleteMessage);
+    } catch (error) {
+      if (error.notFound) {
+        await this.process([[insertMessage], []], true);
+      } else {
+        throw error;
+      }
+    }
+    this.insertQueue.push(insertMessage);
+    await this.dequeue();
+  }
+
+  async delete(value:T): Promise<void> {
+    const hash = hash64(value);
+    try {
+      const pair = await this.db.get(`${this.namespace}>${hash}`);
+      const message = [pair[0], hash];
+      await this.process([[], [message]], true);
+      this.deleteQueue.push(message);
+      await this.dequeue();
+    } catch (error) {
+      if (error.notFound) {
+        return;
+      }
+      throw error;
+    }
+  }
+
+  async clear(): Promise<void> {
+    for await (const value of this.values()) {
+      await this.delete(value);
+    }
+  }
+
+  async forEach(callback:Function, thisArg?:any):Promise<void> {
+    if (thisArg) {
+      for await (const value of this.values()) {
+        callback.bind(thisArg)(value, value, this);
+      }
+    } else {
+      for await (const value of this.values()) {
+        callback(value, value, this);
+      }
+    }
+  }
+
+  async has(value:T): Promise<boolean> {
+    try {
+      await this.db.get(`${this.namespace}>${hash64(value)}`);
+      return true;
+    } catch (error) {
+      if (error.notFound) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async* values():AsyncGenerator<T, void, void> {
+    const iterator = this.db.iterator({ gt: `${this.namespace}>`, lt: `${this.namespace}?`, keys: false });
+    while (true) {
+      const pair = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: void, v: [string, T] | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(v);
+          }
+        });
+      });
+      if (pair) {
+        yield pair[1];
+      } else {
+        break;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  keys():AsyncGenerator<T, void, void> {
+    return this.values();
+  }
+
+  async* entries():AsyncGenerator<[T, T], void, void> {
+    for await (const value of this.values()) {
+      yield [value, value];
+    }
+  }
+
+  /* :: @@asyncIterator(): AsyncIterator<T> { return ({}: any); } */
+  // $FlowFixMe: computed property
+  [Symbol.asyncIterator]() {
+    return this.values();
+  }
+
+  async shutdown() {
+    clearTimeout(this.publishTimeout);
+    // $FlowFixMe
+    await new Promise((resolve) => queueMicrotask(resolve));
+    await Promise.all([
+      this.processQueue.onIdle(),
+      this.dequeueQueue.onIdle(),
+    ]);
+  }
+}
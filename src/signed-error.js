@@ -1,3 +1,5 @@
 // @flow
 
 export class InvalidSignatureError extends Error {}
+
+export class UnauthorizedWriteError extends Error {}
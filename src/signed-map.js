@@ -2,29 +2,95 @@
 
 import PQueue from 'p-queue';
 import ObservedRemoveMap from './map';
+import HybridLogicalClock from './hybrid-logical-clock';
+import type { ProcessOptions } from './map';
+import Batch from './batch';
 import getVerifier from './verifier';
-import { InvalidSignatureError } from './signed-error';
+import { getFingerprint } from './key';
+import type { Algorithm } from './key';
+import { InvalidSignatureError, UnauthorizedWriteError } from './signed-error';
+
+export type KeyOptions = {
+  format?: string,
+  algorithm?: Algorithm,
+  notBefore?: number,
+  notAfter?: number
+};
+
+type TrustedKey = {
+  verify: (string, ...Array<any>) => boolean,
+  fingerprint: string,
+  notBefore?: number,
+  notAfter?: number,
+  revokedAt?: number,
+  rejectAll?: boolean
+};
+
+export type RevokeOptions = {
+  rejectAll?: boolean
+};
 
 type Options = {
   maxAge?:number,
   bufferPublishing?:number,
-  key: any,
+  key?: any,
+  keys?: Array<{ id: string, key: any, format?: string, algorithm?: Algorithm, notBefore?: number, notAfter?: number }>,
   format?: string,
-  namespace?: string
+  algorithm?: Algorithm,
+  permissions?: Iterable<[string, Array<string>]>,
+  skipInvalid?: boolean,
+  namespace?: string,
+  clock?: HybridLogicalClock,
+  resolve?: (key:string, localPair:[string, any], remotePair:[string, any]) => [string, any],
+  multiValue?: boolean
+};
+
+export type RejectedMessage = {
+  message: Array<any>,
+  error: Error
+};
+
+export type SignedPair<V> = {
+  value: V,
+  id: string,
+  signature: string,
+  fingerprint: string | void
+};
+
+/**
+ * Get the time of a signed operation, the signed timestamp of a deletion if it has one or the time of the id.
+ * @param {Array<any>} args - Signed arguments, ending with the id or the timestamp
+ * @return {number}
+ */
+const getOperationTime = (args:Array<any>):number => {
+  const last = args[args.length - 1];
+  return typeof last === 'number' ? last : parseInt(String(last).slice(0, 9), 36);
 };
 
 export default class SignedObservedRemoveMap<V> extends ObservedRemoveMap<V> {
   constructor(db:Object, entries?: Iterable<[string, V, string, string]>, options?:Options) {
     super(db, [], options);
-    if (!options || !options.key) {
-      throw new Error('Missing required options.key parameter');
+    if (!options || (!options.key && !options.keys)) {
+      throw new Error('Missing required options.key or options.keys parameter');
+    }
+    this.keyring = new Map();
+    if (options.key) {
+      this.addKey('', options.key, { format: options.format, algorithm: options.algorithm });
+    }
+    for (const { id, key, format, algorithm, notBefore, notAfter } of options.keys || []) {
+      this.addKey(id, key, { format, algorithm, notBefore, notAfter });
     }
-    this.verify = getVerifier(options.key, options.format);
+    this.permissions = options.permissions ? new Map(options.permissions) : undefined;
+    this.skipInvalid = !!options.skipInvalid;
+    this.signedProcessQueue = new PQueue({ concurrency: 1 });
+    this.pendingInsertionMap = new Map();
+    this.pendingDeletionMap = new Map();
     if (!entries) {
       return;
     }
+    const readyPromise = this.readyPromise;
     this.readyPromise = (async () => {
-      await this.updateSize();
+      await readyPromise;
       const promises = [];
       if (entries) {
         for (const [key, value, id, signature] of entries) {
@@ -33,18 +99,230 @@ export default class SignedObservedRemoveMap<V> extends ObservedRemoveMap<V> {
       }
       await Promise.all(promises);
     })();
-    this.signedProcessQueue = new PQueue({ concurrency: 1 });
   }
 
   declare insertionSignatureMap: Map<string, string>;
   declare deletionSignatureMap: Map<string, string>;
-  declare verify: (string, ...Array<any>) => boolean;
+  declare keyring: Map<string, TrustedKey>;
+  declare permissions: Map<string, Array<string>> | void;
+  declare skipInvalid: boolean;
   declare signedProcessQueue: PQueue;
+  declare pendingInsertionMap: Map<string, [string, string]>;
+  declare pendingDeletionMap: Map<string, string | [string, number]>;
+
+  /**
+   * Trust a public key. Signatures made with the key are prefixed with its id and a colon, see `getSigner`.
+   * Unprefixed signatures are verified with `options.key`, which has the empty id.
+   * @param {string} id - Key id
+   * @param {any} key - Public key
+   * @param {Object} [options]
+   * @param {string} [options.format] - NodeRSA key format
+   * @param {'rsa'|'ed25519'|'ecdsa'} [options.algorithm] - Expected algorithm, detected from the key if omitted
+   * @param {number} [options.notBefore] - Reject insertions with ids, and deletions with timestamps, before this time
+   * @param {number} [options.notAfter] - Reject insertions with ids, and deletions with timestamps, after this time
+   * @return {void}
+   */
+  addKey(id:string, key:any, options?:KeyOptions = {}) {
+    if (id.includes(':')) {
+      throw new Error(`Key id "${id}" may not contain a colon`);
+    }
+    const { format, algorithm, notBefore, notAfter } = options;
+    this.keyring.set(id, { verify: getVerifier(key, format, algorithm), fingerprint: getFingerprint(key, format, algorithm), notBefore, notAfter });
+  }
+
+  /**
+   * Revoke a trusted key. Insertions with ids, and deletions with timestamps, at or after the revocation time
+   * are rejected. Values which were already processed are kept.
+   *
+   * Ids and timestamps are chosen by the signer, so a compromised key can backdate its operations. Set
+   * `options.rejectAll` to reject every operation signed by the key once the revocation time has passed on
+   * this replica, including legitimate ones made before it, which then fail to synchronize, see `options.skipInvalid`.
+   * @param {string} id - Key id
+   * @param {number} [revokedAt=Date.now()] - Revocation time
+   * @param {Object} [options]
+   * @param {boolean} [options.rejectAll] - Reject all operations signed by the key once the revocation time has passed
+   * @return {void}
+   */
+  revokeKey(id:string, revokedAt?:number = Date.now(), options?:RevokeOptions = {}) {
+    const trustedKey = this.keyring.get(id);
+    if (!trustedKey) {
+      throw new Error(`Key id "${id}" does not exist`);
+    }
+    trustedKey.revokedAt = revokedAt;
+    trustedKey.rejectAll = !!options.rejectAll;
+  }
+
+  /**
+   * Verify a signature with the key named in its envelope, checking the time of the operation against the
+   * validity window of the key. The last argument is the timestamp of a deletion, or the id of an insertion
+   * or of a deletion without a timestamp.
+   * @param {string} signature - Signature, optionally prefixed with a key id and a colon
+   * @param {...any} args - Signed arguments
+   * @return {string|void} Fingerprint of the key, or undefined if the signature is invalid
+   */
+  verifySigner(signature:string, ...args:Array<any>):string | void {
+    if (typeof signature !== 'string') {
+      return undefined;
+    }
+    const index = signature.lastIndexOf(':');
+    const trustedKey = this.keyring.get(index === -1 ? '' : signature.slice(0, index));
+    if (!trustedKey) {
+      return undefined;
+    }
+    const { verify, fingerprint, notBefore, notAfter, revokedAt, rejectAll } = trustedKey;
+    const time = getOperationTime(args);
+    if (typeof notBefore === 'number' && !(time >= notBefore)) {
+      return undefined;
+    }
+    if (typeof notAfter === 'number' && !(time <= notAfter)) {
+      return undefined;
+    }
+    if (typeof revokedAt === 'number' && (!(time < revokedAt) || (rejectAll && Date.now() >= revokedAt))) {
+      return undefined;
+    }
+    return verify(signature.slice(index + 1), ...args) ? fingerprint : undefined;
+  }
+
+  /**
+   * Check whether a signer may write a key. If `options.permissions` was set, a signer may only write keys
+   * starting with a prefix whose fingerprints include the signer's. Use the empty prefix for keys which may write anywhere.
+   * @param {string} fingerprint - Fingerprint of the signer
+   * @param {string} key - Key
+   * @return {boolean}
+   */
+  isAuthorized(fingerprint:string, key:string):boolean {
+    const permissions = this.permissions;
+    if (!permissions) {
+      return true;
+    }
+    for (const [prefix, fingerprints] of permissions) {
+      if (key.startsWith(prefix) && fingerprints.includes(fingerprint)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  verify(signature:string, ...args:Array<any>):boolean {
+    return typeof this.verifySigner(signature, ...args) === 'string';
+  }
+
+  /**
+   * Get the value of a key with the id, signature and signer fingerprint of its insertion.
+   * @param {string} key - Key
+   * @return {Promise<Object|void>} Object with `value`, `id`, `signature` and `fingerprint` properties, or undefined if the key does not exist. `fingerprint` is undefined for insertions processed before signers were recorded.
+   */
+  async getSigned(key:string):Promise<SignedPair<V> | void> {
+    const pair = await this.getPair(key);
+    if (!pair) {
+      return undefined;
+    }
+    const [id, value] = pair;
+    const signature = await this.db.get(`${this.namespace}[${id}`);
+    let fingerprint;
+    try {
+      fingerprint = await this.db.get(`${this.namespace}{${id}`);
+    } catch (error) {
+      if (!error.notFound) {
+        throw error;
+      }
+    }
+    return { value, id, signature, fingerprint };
+  }
+
+  /**
+   * Get the key of a stored pair from its signer records.
+   * @param {string} id - Id of the pair
+   * @return {Promise<string|void>} Key, or undefined if no pair with the id is stored
+   */
+  async getStoredKey(id:string):Promise<string | void> {
+    try {
+      const fingerprint = await this.db.get(`${this.namespace}{${id}`);
+      return await this.db.get(`${this.namespace}}${fingerprint}${id}`);
+    } catch (error) {
+      if (error.notFound) {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over the keys and values whose current insertion was signed by a key.
+   * @param {string} fingerprint - Fingerprint of the signer, see `getFingerprint`
+   * @return {AsyncGenerator<[string, V], void, void>}
+   */
+  async* bySigner(fingerprint:string):AsyncGenerator<[string, V], void, void> {
+    const iterator = this.db.iterator({ gt: `${this.namespace}}${fingerprint}`, lt: `${this.namespace}}${fingerprint}~` });
+    const prefixLength = this.namespace.length + fingerprint.length + 1;
+    while (true) { // eslint-disable-line  no-constant-condition
+      const [id, key] = await new Promise((resolve, reject) => {
+        iterator.next((error:Error | void, k: string | void, v: string | void) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve([k, v]);
+          }
+        });
+      });
+      if (typeof id !== 'string' || typeof key !== 'string') {
+        break;
+      }
+      const pair = await this.getPair(key);
+      if (pair && pair[0] === id.slice(prefixLength)) {
+        yield [key, pair[1]];
+      }
+    }
+    await new Promise((resolve, reject) => {
+      iterator.end((error:Error | void) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
 
   async dump():Promise<[Array<*>, Array<*>]> {
+    return this.addSignatures(await super.dump());
+  }
+
+  async dumpBuckets(buckets:Array<string>):Promise<[Array<*>, Array<*>]> {
+    return this.addSignatures(await super.dumpBuckets(buckets));
+  }
+
+  async* dumpStream(chunkSize?: number = 1000):AsyncGenerator<[Array<*>, Array<*>], void, void> {
+    for await (const queue of super.dumpStream(chunkSize)) {
+      yield await this.addSignatures(queue);
+    }
+  }
+
+  async processStream(stream:AsyncIterable<[Array<*>, Array<*>]>):Promise<void> {
+    for await (const signedQueue of stream) {
+      await this.processSigned(signedQueue, true);
+    }
+    await this.flush();
+  }
+
+  async dumpSince(id:string):Promise<[Array<*>, Array<*>, string, boolean]> {
+    const [insertQueue, deleteQueue, nextId, resync] = await super.dumpSince(id);
+    const [signedInsertQueue, signedDeleteQueue] = await this.addSignatures([insertQueue, deleteQueue]);
+    return [signedInsertQueue, signedDeleteQueue, nextId, resync];
+  }
+
+  async processSince(delta:[Array<*>, Array<*>, string, boolean]):Promise<boolean> {
+    const [signedInsertQueue, signedDeleteQueue, , resync] = delta;
+    if (resync) {
+      return false;
+    }
+    await this.processSigned([signedInsertQueue, signedDeleteQueue]);
+    return true;
+  }
+
+  async addSignatures([insertQueue, deleteQueue]:[Array<*>, Array<*>]):Promise<[Array<*>, Array<*>]> {
     const signedInsertQueue = [];
     const signedDeleteQueue = [];
-    const [insertQueue, deleteQueue] = await super.dump();
     for (const [key, [id, value]] of insertQueue) {
       try {
         const signature = await this.db.get(`${this.namespace}[${id}`);
@@ -59,7 +337,11 @@ export default class SignedObservedRemoveMap<V> extends ObservedRemoveMap<V> {
     for (const [id, key] of deleteQueue) {
       try {
         const signature = await this.db.get(`${this.namespace}]${id}`);
-        signedDeleteQueue.push([signature, id, key]);
+        if (Array.isArray(signature)) {
+          signedDeleteQueue.push([signature[0], id, key, signature[1]]);
+        } else {
+          signedDeleteQueue.push([signature, id, key]);
+        }
       } catch (error) {
         if (error.notFound) {
           throw new Error(`Missing signature for deletion key "${JSON.stringify(key)}" with id "${id}"`);
@@ -71,37 +353,85 @@ export default class SignedObservedRemoveMap<V> extends ObservedRemoveMap<V> {
     return queue;
   }
 
-  async flush():Promise<void> {
+  async _flush():Promise<void> { // eslint-disable-line no-underscore-dangle
     const maxAgeString = (Date.now() - this.maxAge).toString(36).padStart(9, '0');
-    await this.db.clear({ gt: `${this.namespace}<`, lt: `${this.namespace}<${maxAgeString}` });
+    await super._flush(); // eslint-disable-line no-underscore-dangle
     await this.db.clear({ gt: `${this.namespace}]`, lt: `${this.namespace}]${maxAgeString}` });
   }
 
-  async processSigned(signedQueue:[Array<*>, Array<*>], skipFlush?: boolean = false):Promise<void> {
-    return this.signedProcessQueue.add(() => this._processSigned(signedQueue, skipFlush)); // eslint-disable-line  no-underscore-dangle
+  /**
+   * Verify and process a signed queue. Messages with invalid signatures, or written by signers outside of their
+   * permissions, throw an `InvalidSignatureError` or `UnauthorizedWriteError` before any message is applied.
+   * If `options.skipInvalid` was set, the valid messages are applied instead, and an 'invalidSignature' event is
+   * emitted with the error and the message for each of the others.
+   * @param {[Array<*>, Array<*>]} signedQueue - Signed insertions and deletions
+   * @param {boolean|Object} [options] - Skip flushing the queue, or an object with `skipFlush` and `origin` properties, see `process`
+   * @param {boolean} [publish] - Publish the valid messages
+   * @return {Promise<Array<Object>>} Rejected messages, objects with `message` and `error` properties
+   */
+  async processSigned(signedQueue:[Array<*>, Array<*>], options?: boolean | ProcessOptions = false, publish?: boolean = false):Promise<Array<RejectedMessage>> {
+    return this.signedProcessQueue.add(() => this._processSigned(signedQueue, options, publish)); // eslint-disable-line  no-underscore-dangle
   }
 
-  async _processSigned(signedQueue:[Array<*>, Array<*>], skipFlush?: boolean = false):Promise<void> { // eslint-disable-line  no-underscore-dangle
+  async _processSigned(signedQueue:[Array<*>, Array<*>], options?: boolean | ProcessOptions = false, publish?: boolean = false):Promise<Array<RejectedMessage>> { // eslint-disable-line  no-underscore-dangle
     const [signedInsertQueue, signedDeleteQueue] = signedQueue;
+    const acceptedInsertQueue = [];
+    const acceptedDeleteQueue = [];
+    const fingerprints = [];
+    const rejected = [];
+    for (const message of signedInsertQueue) {
+      const [signature, id, key, value] = message;
+      const fingerprint = this.verifySigner(signature, key, value, id);
+      if (typeof fingerprint !== 'string') {
+        rejected.push({ message, error: new InvalidSignatureError(`Signature does not match for key "${key}" with value ${JSON.stringify(value)}`) });
+      } else if (!this.isAuthorized(fingerprint, key)) {
+        rejected.push({ message, error: new UnauthorizedWriteError(`Signer "${fingerprint}" may not write key "${key}"`) });
+      } else {
+        acceptedInsertQueue.push(message);
+        fingerprints.push(fingerprint);
+      }
+    }
+    for (const message of signedDeleteQueue) {
+      const [signature, id, key, deletedAt] = message;
+      const fingerprint = typeof deletedAt === 'number' ? this.verifySigner(signature, key, id, deletedAt) : this.verifySigner(signature, key, id);
+      if (typeof fingerprint !== 'string') {
+        rejected.push({ message, error: new InvalidSignatureError(`Signature does not match for id ${JSON.stringify(id)}`) });
+      } else if (!this.isAuthorized(fingerprint, key)) {
+        rejected.push({ message, error: new UnauthorizedWriteError(`Signer "${fingerprint}" may not delete key "${key}"`) });
+      } else if (![undefined, key].includes(await this.getStoredKey(id))) {
+        rejected.push({ message, error: new UnauthorizedWriteError(`Id "${id}" does not belong to key "${key}"`) });
+      } else {
+        acceptedDeleteQueue.push(message);
+      }
+    }
+    if (rejected.length > 0 && !this.skipInvalid) {
+      throw rejected[0].error;
+    }
+    for (const { message, error } of rejected) {
+      this.emit('invalidSignature', error, message);
+    }
     const insertQueue = [];
     const deleteQueue = [];
-    for (const [signature, id, key, value] of signedInsertQueue) {
-      if (!this.verify(signature, key, value, id)) {
-        throw new InvalidSignatureError(`Signature does not match for key "${key}" with value ${JSON.stringify(value)}`);
-      }
-      await this.db.put(`${this.namespace}[${id}`, signature);
+    for (let i = 0; i < acceptedInsertQueue.length; i += 1) {
+      const [signature, id, key, value] = acceptedInsertQueue[i];
+      this.pendingInsertionMap.set(id, [signature, fingerprints[i]]);
       insertQueue.push([key, [id, value]]);
     }
-    for (const [signature, id, key] of signedDeleteQueue) {
-      if (!this.verify(signature, key, id)) {
-        throw new InvalidSignatureError(`Signature does not match for id ${JSON.stringify(id)}`);
-      }
-      await this.db.put(`${this.namespace}]${id}`, signature);
+    for (const [signature, id, key, deletedAt] of acceptedDeleteQueue) {
+      this.pendingDeletionMap.set(id, typeof deletedAt === 'number' ? [signature, deletedAt] : signature);
       deleteQueue.push([id, key]);
     }
+    if (insertQueue.length === 0 && deleteQueue.length === 0 && rejected.length > 0) {
+      return rejected;
+    }
     const queue = [insertQueue, deleteQueue];
-    await super.process(queue, skipFlush);
-    for (const [signature, id, key] of signedInsertQueue) { // eslint-disable-line no-unused-vars
+    try {
+      await super.process(queue, options, publish ? [acceptedInsertQueue, acceptedDeleteQueue] : undefined);
+    } finally {
+      this.pendingInsertionMap.clear();
+      this.pendingDeletionMap.clear();
+    }
+    for (const [signature, id, key] of acceptedInsertQueue) { // eslint-disable-line no-unused-vars
       try {
         const pair = await this.db.get(`${this.namespace}>${key}`);
         if (pair[0] !== id) {
@@ -115,20 +445,78 @@ export default class SignedObservedRemoveMap<V> extends ObservedRemoveMap<V> {
         }
       }
     }
+    return rejected;
+  }
+
+  /**
+   * Write the deletion signature with the tombstone, in the same batch.
+   * @param {Batch} batch - Batch being processed
+   * @param {string} id - Deleted id
+   * @param {string} key - Key
+   * @param {string} [previousKey] - Key of a tombstone with the same id being replaced
+   * @return {void}
+   */
+  addTombstone(batch:Batch, id:string, key:string, previousKey?:string) {
+    super.addTombstone(batch, id, key, previousKey);
+    const signature = this.pendingDeletionMap.get(id);
+    if (typeof signature !== 'undefined') {
+      batch.put(`${this.namespace}]${id}`, signature);
+    }
+  }
+
+  /**
+   * Write the insertion signature and the signer records of a stored pair, and remove the signer records
+   * of a removed pair, in the same batch.
+   * @param {Batch} batch - Batch being processed
+   * @param {string} key - Key
+   * @param {Array<any>} [previousPair] - Pair being removed
+   * @param {Array<any>} [pair] - Pair being stored
+   * @return {Promise<void>}
+   */
+  async updatePair(batch:Batch, key:string, previousPair?:$ReadOnlyArray<any>, pair?:$ReadOnlyArray<any>) {
+    await super.updatePair(batch, key, previousPair, pair);
+    if (previousPair) {
+      const fingerprint = await batch.get(`${this.namespace}{${previousPair[0]}`);
+      if (typeof fingerprint === 'string') {
+        batch.del(`${this.namespace}{${previousPair[0]}`);
+        batch.del(`${this.namespace}}${fingerprint}${previousPair[0]}`);
+      }
+    }
+    if (pair) {
+      const pending = this.pendingInsertionMap.get(pair[0]);
+      if (pending) {
+        const [signature, fingerprint] = pending;
+        batch.put(`${this.namespace}[${pair[0]}`, signature);
+        batch.put(`${this.namespace}{${pair[0]}`, fingerprint);
+        batch.put(`${this.namespace}}${fingerprint}${pair[0]}`, key);
+      }
+    }
   }
 
   async setSigned(key:string, value:V, id:string, signature:string) {
     const message = [signature, id, key, value];
-    await this.processSigned([[message], []], true);
-    this.insertQueue.push(message);
+    const [rejected] = await this.processSigned([[message], []], true, true);
+    if (rejected) {
+      throw rejected.error;
+    }
     await this.dequeue();
     return this;
   }
 
-  async deleteSigned(key:string, id:string, signature:string) {
-    const message = [signature, id, key];
-    await this.processSigned([[], [message]], true);
-    this.deleteQueue.push(message);
+  /**
+   * Delete a key using a signed deletion.
+   * @param {string} key - Key
+   * @param {string} id - Id of the insertion being deleted
+   * @param {string} signature - Signature of `(key, id)`, or of `(key, id, deletedAt)` if a timestamp is provided
+   * @param {number} [deletedAt] - Time of the deletion, checked against the validity window of the signing key instead of the time of the id
+   * @return {Promise<void>}
+   */
+  async deleteSigned(key:string, id:string, signature:string, deletedAt?:number) {
+    const message = typeof deletedAt === 'number' ? [signature, id, key, deletedAt] : [signature, id, key];
+    const [rejected] = await this.processSigned([[], [message]], true, true);
+    if (rejected) {
+      throw rejected.error;
+    }
     await this.dequeue();
   }
 
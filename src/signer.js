@@ -1,9 +1,16 @@
 // @flow
 
+import crypto from 'crypto';
 import stringify from 'json-stringify-deterministic';
-import NodeRSA from 'node-rsa';
+import getKey from './key';
+import type { Algorithm } from './key';
 
-export default (key:any, format?:string = 'pkcs1-private-pem') => {
-  const privateKey = key instanceof NodeRSA ? key : new NodeRSA(key, format);
-  return (...args:Array<any>) => privateKey.sign(stringify(args), 'base64', 'utf8');
+export default (key:any, format?:string, algorithm?:Algorithm, keyId?:string) => {
+  const [keyAlgorithm, privateKey] = getKey(key, 'private', format, algorithm);
+  const prefix = typeof keyId === 'string' ? `${keyId}:` : '';
+  if (keyAlgorithm === 'rsa') {
+    return (...args:Array<any>) => `${prefix}${privateKey.sign(stringify(args), 'base64', 'utf8')}`;
+  }
+  const digest = keyAlgorithm === 'ecdsa' ? 'sha256' : null;
+  return (...args:Array<any>) => `${prefix}${(crypto:any).sign(digest, Buffer.from(stringify(args), 'utf8'), privateKey).toString('base64')}`;
 };
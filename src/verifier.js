@@ -1,9 +1,21 @@
 // @flow
 
+import crypto from 'crypto';
 import stringify from 'json-stringify-deterministic';
-import NodeRSA from 'node-rsa';
+import getKey from './key';
+import type { Algorithm } from './key';
 
-export default (key:any, format?:string = 'pkcs1-public-pem') => {
-  const publicKey = key instanceof NodeRSA ? key : new NodeRSA(key, format);
-  return (signature:string, ...args:Array<any>) => publicKey.verify(stringify(args), signature, 'utf8', 'base64');
+export default (key:any, format?:string, algorithm?:Algorithm) => {
+  const [keyAlgorithm, publicKey] = getKey(key, 'public', format, algorithm);
+  if (keyAlgorithm === 'rsa') {
+    return (signature:string, ...args:Array<any>) => publicKey.verify(stringify(args), signature, 'utf8', 'base64');
+  }
+  const digest = keyAlgorithm === 'ecdsa' ? 'sha256' : null;
+  return (signature:string, ...args:Array<any>) => {
+    try {
+      return (crypto:any).verify(digest, Buffer.from(stringify(args), 'utf8'), publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      return false;
+    }
+  };
 };
@@ -0,0 +1,123 @@
+// @flow
+
+import os from 'os';
+import path from 'path';
+import expect from 'expect';
+import { v4 as uuidv4 } from 'uuid';
+import level from 'level';
+import { ObservedRemoveCounterMap } from '../src';
+import './lib/async-iterator-comparison';
+
+describe('Counter Map', () => {
+  let db;
+
+  beforeEach(async () => {
+    const location = path.join(os.tmpdir(), uuidv4());
+    db = level(location, { valueEncoding: 'json' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('Increment, decrement and delete values', async () => {
+    const keyA = uuidv4();
+    const keyB = uuidv4();
+    const map = new ObservedRemoveCounterMap(db, [[keyA, 2]], { namespace: uuidv4() });
+    await map.readyPromise;
+    await expect(map.get(keyA)).resolves.toEqual(2);
+    await expect(map.has(keyB)).resolves.toEqual(false);
+    expect(map.size).toEqual(1);
+    await map.increment(keyA);
+    await map.decrement(keyB, 3);
+    await expect(map.get(keyA)).resolves.toEqual(3);
+    await expect(map.get(keyB)).resolves.toEqual(-3);
+    expect(map.size).toEqual(2);
+    await expect(map).asyncIteratesTo(expect.arrayContaining([[keyA, 3], [keyB, -3]]));
+    await map.delete(keyA);
+    await expect(map.has(keyA)).resolves.toEqual(false);
+    await expect(map.get(keyA)).resolves.toBeUndefined();
+    expect(map.size).toEqual(1);
+    await map.increment(keyA, 5);
+    await expect(map.get(keyA)).resolves.toEqual(5);
+    await map.decrement(keyB, 0);
+    await map.delete(keyB);
+    await map.increment(keyB, 0);
+    await expect(map.has(keyB)).resolves.toEqual(false);
+    await map.clear();
+    expect(map.size).toEqual(0);
+    await expect(map.increment(keyA, NaN)).rejects.toThrow(TypeError);
+    await map.shutdown();
+  });
+
+  test('Merge increments made before the maps are ready', async () => {
+    const key = uuidv4();
+    const get = db.get.bind(db);
+    db.get = async (k) => {
+      if (k.endsWith('!replica')) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      return get(k);
+    };
+    const alice = new ObservedRemoveCounterMap(db, [], { namespace: uuidv4() });
+    const bob = new ObservedRemoveCounterMap(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.increment(key, 2), bob.increment(key, 3)]);
+    db.get = get;
+    await alice.process(await bob.dump());
+    await bob.process(await alice.dump());
+    await expect(alice.get(key)).resolves.toEqual(5);
+    await expect(bob.get(key)).resolves.toEqual(5);
+    await Promise.all([alice.shutdown(), bob.shutdown()]);
+  });
+
+  test('Merge concurrent increments', async () => {
+    const key = uuidv4();
+    const alice = new ObservedRemoveCounterMap(db, [], { namespace: uuidv4() });
+    const bob = new ObservedRemoveCounterMap(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    const aliceMessages = [];
+    const bobMessages = [];
+    alice.on('publish', (message) => aliceMessages.push(message));
+    bob.on('publish', (message) => bobMessages.push(message));
+    await Promise.all([
+      alice.increment(key, 10),
+      alice.increment(key, 1),
+      bob.increment(key, 5),
+      bob.decrement(key, 2),
+    ]);
+    for (const message of bobMessages.concat(bobMessages)) {
+      await alice.process(message);
+    }
+    for (const message of aliceMessages.reverse()) {
+      await bob.process(message);
+    }
+    await expect(alice.get(key)).resolves.toEqual(14);
+    await expect(bob.get(key)).resolves.toEqual(14);
+    await alice.delete(key);
+    await bob.increment(key);
+    await bob.process(await alice.dump());
+    await alice.process(await bob.dump());
+    await expect(alice.get(key)).resolves.toEqual(1);
+    await expect(bob.get(key)).resolves.toEqual(1);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+
+  test('Keep the replica id after a restart', async () => {
+    const key = uuidv4();
+    const namespace = uuidv4();
+    const mapA = new ObservedRemoveCounterMap(db, [[key, 1]], { namespace });
+    await mapA.readyPromise;
+    await mapA.shutdown();
+    const mapB = new ObservedRemoveCounterMap(db, [], { namespace });
+    await mapB.readyPromise;
+    expect(mapB.replicaId).toEqual(mapA.replicaId);
+    expect(mapB.size).toEqual(1);
+    await mapB.increment(key);
+    await expect(mapB.get(key)).resolves.toEqual(2);
+    await expect(mapB.dump()).resolves.toEqual([[[key, mapB.replicaId, 2, 0]], []]);
+    await mapB.shutdown();
+  });
+});
@@ -0,0 +1,93 @@
+// @flow
+
+import os from 'os';
+import path from 'path';
+import expect from 'expect';
+import { v4 as uuidv4 } from 'uuid';
+import level from 'level';
+import { ObservedRemoveDocument, generateId } from '../src';
+import { generateValue } from './lib/values';
+import './lib/async-iterator-comparison';
+
+describe('Document', () => {
+  let db;
+
+  beforeEach(async () => {
+    const location = path.join(os.tmpdir(), uuidv4());
+    db = level(location, { valueEncoding: 'json' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('Set, get and delete documents', async () => {
+    const keyA = uuidv4();
+    const keyB = uuidv4();
+    const valueA = { user: { name: 'Alice', tags: ['a', 'b'], address: { city: 'Paris' } }, empty: {}, count: 1 };
+    const valueB = generateValue();
+    const document = new ObservedRemoveDocument(db, [[keyA, valueA]], { namespace: uuidv4() });
+    await document.readyPromise;
+    await expect(document.get(keyA)).resolves.toEqual(valueA);
+    await document.set(keyB, valueB);
+    await expect(document.get(keyB)).resolves.toEqual(valueB);
+    await expect(document).asyncIteratesTo(expect.arrayContaining([[keyA, valueA], [keyB, valueB]]));
+    const updatedValueA = { user: { name: 'Alice', tags: ['c'] }, count: 2 };
+    await document.set(keyA, updatedValueA);
+    await expect(document.get(keyA)).resolves.toEqual(updatedValueA);
+    await document.delete(keyA);
+    await expect(document.has(keyA)).resolves.toEqual(false);
+    await expect(document.get(keyA)).resolves.toBeUndefined();
+    await expect(document.keys()).asyncIteratesTo([keyB]);
+    await document.shutdown();
+  });
+
+  test('Merge concurrent edits to different paths', async () => {
+    const key = uuidv4();
+    const alice = new ObservedRemoveDocument(db, [], { namespace: uuidv4() });
+    const bob = new ObservedRemoveDocument(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    await alice.set(key, { user: { name: 'Alice', email: 'alice@example.com' } });
+    await bob.process(await alice.dump());
+    await alice.set(key, { user: { name: 'Alicia', email: 'alice@example.com' } });
+    await bob.set(key, { user: { name: 'Alice', email: 'alicia@example.com' } });
+    const aliceDump = await alice.dump();
+    const bobDump = await bob.dump();
+    await alice.process(bobDump);
+    await bob.process(aliceDump);
+    const expected = { user: { name: 'Alicia', email: 'alicia@example.com' } };
+    await expect(alice.get(key)).resolves.toEqual(expected);
+    await expect(bob.get(key)).resolves.toEqual(expected);
+    await alice.delete(key);
+    await bob.set(key, { user: { name: 'Alicia', email: 'alicia@example.com', phone: '555' } });
+    await alice.process(await bob.dump());
+    await expect(alice.get(key)).resolves.toEqual({ user: { phone: '555' } });
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+
+  test('Keep the later of an object and another value set concurrently at a path', async () => {
+    const [keyA, keyB] = [uuidv4(), uuidv4()];
+    const alice = new ObservedRemoveDocument(db, [], { namespace: uuidv4() });
+    const bob = new ObservedRemoveDocument(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    await alice.set(keyA, { p: 5 }, generateId());
+    await bob.set(keyA, { p: { x: 1 } }, generateId());
+    await bob.set(keyB, { p: { x: 1 } }, generateId());
+    await alice.set(keyB, { p: 5 }, generateId());
+    const aliceDump = await alice.dump();
+    const bobDump = await bob.dump();
+    await alice.process(bobDump);
+    await bob.process(aliceDump);
+    await expect(alice.get(keyA)).resolves.toEqual({ p: { x: 1 } });
+    await expect(bob.get(keyA)).resolves.toEqual({ p: { x: 1 } });
+    await expect(alice.get(keyB)).resolves.toEqual({ p: 5 });
+    await expect(bob.get(keyB)).resolves.toEqual({ p: 5 });
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+});
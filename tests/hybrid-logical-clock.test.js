@@ -0,0 +1,35 @@
+// @flow
+
+import expect from 'expect';
+import { HybridLogicalClock, generateId } from '../src';
+
+describe('Hybrid Logical Clock', () => {
+  test('Generate increasing ids containing the replica id', async () => {
+    const clock = new HybridLogicalClock('alice');
+    let previousId = '';
+    for (let i = 0; i < 1000; i += 1) {
+      const id = clock.generateId();
+      expect(id > previousId).toEqual(true);
+      expect(id.endsWith('alice')).toEqual(true);
+      previousId = id;
+    }
+  });
+
+  test('Generate ids after observed ids', async () => {
+    const clock = new HybridLogicalClock('alice');
+    const futureClock = new HybridLogicalClock('bob');
+    futureClock.time = Date.now() + 60000;
+    const futureId = futureClock.generateId();
+    clock.observe(futureId);
+    const id = clock.generateId();
+    expect(id > futureId).toEqual(true);
+    expect(id.slice(0, 9)).toEqual(futureId.slice(0, 9));
+    const legacyId = generateId();
+    clock.observe(legacyId);
+    expect(clock.generateId() > legacyId).toEqual(true);
+  });
+
+  test('Throw on missing replica id', async () => {
+    expect(() => new HybridLogicalClock('')).toThrow();
+  });
+});
@@ -5,7 +5,7 @@ import path from 'path';
 import expect from 'expect';
 import { v4 as uuidv4 } from 'uuid';
 import level from 'level';
-import { ObservedRemoveMap } from '../src';
+import { ObservedRemoveMap, HybridLogicalClock, generateId } from '../src';
 import { generateValue } from './lib/values';
 import './lib/async-iterator-comparison';
 
@@ -586,5 +586,659 @@ describe('Map', () => {
       bob.shutdown(),
     ]);
   });
+  test('Process queues atomically', async () => {
+    const keyA = uuidv4();
+    const keyB = uuidv4();
+    const map = new ObservedRemoveMap(db, [[keyA, generateValue()]], { namespace: uuidv4() });
+    await map.readyPromise;
+    const [[[, [idA]]]] = await map.dump();
+    let setCount = 0;
+    let deleteCount = 0;
+    map.on('set', () => (setCount += 1));
+    map.on('delete', () => (deleteCount += 1));
+    const batch = db.batch;
+    db.batch = () => Promise.reject(new Error('Batch failed'));
+    await expect(map.process([[[keyB, [generateId(), generateValue()]]], [[idA, keyA]]])).rejects.toThrow('Batch failed');
+    db.batch = batch;
+    expect(setCount).toEqual(0);
+    expect(deleteCount).toEqual(0);
+    expect(map.size).toEqual(1);
+    await expect(map.has(keyA)).resolves.toEqual(true);
+    await expect(map.has(keyB)).resolves.toEqual(false);
+    await expect(map.deletions()).resolves.toEqual([]);
+    await map.shutdown();
+  });
+  test('Publish unpublished writes after a restart', async () => {
+    const keyA = uuidv4();
+    const keyB = uuidv4();
+    const valueA = generateValue();
+    const valueB = generateValue();
+    const namespace = uuidv4();
+    const alice1 = new ObservedRemoveMap(db, [[keyA, valueA], [keyB, valueB]], { bufferPublishing: 60000, namespace });
+    await alice1.readyPromise;
+    await alice1.delete(keyB);
+    clearTimeout(alice1.publishTimeout);
+    await alice1.shutdown();
+    const alice2 = new ObservedRemoveMap(db, [], { namespace });
+    await alice2.readyPromise;
+    const [insertions, deletions] = await new Promise((resolve) => {
+      alice2.once('publish', resolve);
+    });
+    expect(insertions.map(([key]) => key)).toEqual(expect.arrayContaining([keyA, keyB]));
+    expect(deletions.map(([, key]) => key)).toEqual([keyB]);
+    await alice2.shutdown();
+    const alice3 = new ObservedRemoveMap(db, [], { namespace });
+    await alice3.readyPromise;
+    expect(alice3.outboxKeys).toEqual([]);
+    expect(alice3.insertQueue).toEqual([]);
+    await alice3.shutdown();
+  });
+  test('Store the size and recount pairs', async () => {
+    const namespace = uuidv4();
+    const map1 = new ObservedRemoveMap(db, [[uuidv4(), generateValue()], [uuidv4(), generateValue()], [uuidv4(), generateValue()]], { namespace });
+    await map1.readyPromise;
+    await map1.delete((await map1.pairs())[0][0]);
+    expect(map1.size).toEqual(2);
+    await map1.shutdown();
+    const map2 = new ObservedRemoveMap(db, [], { namespace });
+    await map2.readyPromise;
+    expect(map2.size).toEqual(2);
+    await db.put(`${namespace}!size`, 10);
+    await map2.updateSize();
+    expect(map2.size).toEqual(10);
+    await map2.recount();
+    expect(map2.size).toEqual(2);
+    await expect(db.get(`${namespace}!size`)).resolves.toEqual(2);
+    await map2.shutdown();
+  });
+  test('Overwrite values from clients with skewed clocks using hybrid logical clocks', async () => {
+    const key = uuidv4();
+    const value1 = generateValue();
+    const value2 = generateValue();
+    const aliceClock = new HybridLogicalClock('alice');
+    aliceClock.time = Date.now() + 60000;
+    const alice = new ObservedRemoveMap(db, [], { namespace: uuidv4(), clock: aliceClock });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4(), clock: new HybridLogicalClock('bob') });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    await alice.set(key, value1);
+    await bob.process(await alice.dump());
+    await bob.set(key, value2);
+    await alice.process(await bob.dump());
+    await expect(alice.get(key)).resolves.toEqual(value2);
+    await expect(bob.get(key)).resolves.toEqual(value2);
+    const [[, [id]]] = await bob.pairs();
+    expect(id.endsWith('bob')).toEqual(true);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+  test('Resolve concurrent sets using a resolve option', async () => {
+    const key = uuidv4();
+    const resolve = (k, localPair, remotePair) => {
+      if (localPair[1] === remotePair[1]) {
+        return localPair[0] > remotePair[0] ? localPair : remotePair;
+      }
+      return localPair[1] > remotePair[1] ? localPair : remotePair;
+    };
+    const alice = new ObservedRemoveMap(db, [], { namespace: uuidv4(), resolve });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4(), resolve });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    await alice.set(key, 10);
+    await bob.set(key, 5);
+    const aliceDump = await alice.dump();
+    const bobDump = await bob.dump();
+    await alice.process(bobDump);
+    await bob.process(aliceDump);
+    await expect(alice.get(key)).resolves.toEqual(10);
+    await expect(bob.get(key)).resolves.toEqual(10);
+    await bob.set(key, 1);
+    await alice.process(await bob.dump());
+    await expect(alice.get(key)).resolves.toEqual(1);
+    await expect(bob.get(key)).resolves.toEqual(1);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+  test('Throw if a resolve option merges pairs', async () => {
+    const key = uuidv4();
+    const resolve = (k, localPair, remotePair) => {
+      const [id] = localPair[0] > remotePair[0] ? localPair : remotePair;
+      return [id, { ...localPair[1], ...remotePair[1] }];
+    };
+    const alice = new ObservedRemoveMap(db, [], { namespace: uuidv4(), resolve });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4(), resolve });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    await alice.set(key, { a: 1 });
+    await bob.set(key, { b: 1 });
+    await expect(alice.process(await bob.dump())).rejects.toThrow(`Unable to resolve key "${key}", resolve must return one of its arguments`);
+    await expect(alice.get(key)).resolves.toEqual({ a: 1 });
+    await bob.set(key, { a: 1 });
+    await alice.process(await bob.dump());
+    await expect(alice.get(key)).resolves.toEqual({ a: 1 });
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+  test('Keep concurrent values as siblings', async () => {
+    const key = uuidv4();
+    const valueA = generateValue();
+    const valueB = generateValue();
+    const valueC = generateValue();
+    const alice = new ObservedRemoveMap(db, [], { namespace: uuidv4(), multiValue: true });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4(), multiValue: true });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    await alice.set(key, valueA);
+    await bob.set(key, valueB);
+    const aliceDump = await alice.dump();
+    const bobDump = await bob.dump();
+    await alice.process(bobDump);
+    await bob.process(aliceDump);
+    const alicePairs = await alice.getAll(key);
+    expect(alicePairs.length).toEqual(2);
+    expect(alicePairs.map(([, value]) => value)).toEqual(expect.arrayContaining([valueA, valueB]));
+    await expect(bob.getAll(key)).resolves.toEqual(alicePairs);
+    await expect(alice.get(key)).resolves.toEqual(await bob.get(key));
+    expect(alice.size).toEqual(1);
+    await expect(alice.getHash('')).resolves.toEqual(await bob.getHash(''));
+    await bob.set(key, valueC);
+    await alice.process(await bob.dump());
+    await expect(alice.getAll(key)).resolves.toEqual([[expect.any(String), valueC]]);
+    await expect(bob.getAll(key)).resolves.toEqual(await alice.getAll(key));
+    await alice.delete(key);
+    await bob.process(await alice.dump());
+    await expect(alice.getAll(key)).resolves.toEqual([]);
+    await expect(bob.getAll(key)).resolves.toEqual([]);
+    expect(bob.size).toEqual(0);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+  test('Expire keys after a ttl', async () => {
+    const keyA = uuidv4();
+    const keyB = uuidv4();
+    const value = generateValue();
+    const alice = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    const aliceDeletions = [];
+    alice.on('publish', (message) => {
+      aliceDeletions.push(...message[1]);
+      bob.process(message);
+    });
+    await alice.set(keyA, value, { ttl: 100 });
+    await alice.set(keyB, value);
+    await bob.processQueue.onIdle();
+    await expect(bob.get(keyA)).resolves.toEqual(value);
+    expect(bob.size).toEqual(2);
+    const bobDeletePromise = new Promise((resolve) => {
+      bob.once('delete', resolve);
+    });
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    await expect(alice.get(keyA)).resolves.toBeUndefined();
+    await expect(bob.has(keyA)).resolves.toEqual(false);
+    await expect(bob.keys()).asyncIteratesTo([keyB]);
+    await bobDeletePromise;
+    expect(bob.size).toEqual(1);
+    expect(aliceDeletions).toEqual([[expect.any(String), keyA]]);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+  test('Stop expiring keys after shutdown', async () => {
+    const map = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await map.readyPromise;
+    await map.set(uuidv4(), 1, { ttl: 10 });
+    await map.set(uuidv4(), 1, { ttl: 300 });
+    const expirePromise = map.expire();
+    await map.shutdown();
+    await expirePromise;
+    expect(map.expireTimeout).toBeNull();
+    map.scheduleExpiry(Date.now());
+    expect(map.expireTimeout).toBeNull();
+  });
+  test('Overwrite and delete keys which expired but were not yet deleted', async () => {
+    const [keyA, keyB] = [uuidv4(), uuidv4()];
+    const map = new ObservedRemoveMap(db, [], {
+      namespace: uuidv4(),
+      resolve: (key, localPair, remotePair) => (localPair[1] > remotePair[1] ? localPair : remotePair),
+    });
+    await map.readyPromise;
+    (map:any).scheduleExpiry = () => {};
+    const conflicts = [];
+    map.on('conflict', (conflict) => conflicts.push(conflict));
+    const expiresAt = Date.now() - 1;
+    await map.process([[[keyA, [generateId(), 100, expiresAt]], [keyB, [generateId(), 100, expiresAt]]], []]);
+    await map.set(keyA, 1);
+    await expect(map.get(keyA)).resolves.toEqual(1);
+    await map.delete(keyB);
+    await expect(map.getAll(keyB)).resolves.toEqual([]);
+    await expect(map.deletions()).resolves.toHaveLength(2);
+    expect(conflicts).toEqual([]);
+    await map.shutdown();
+  });
+  test('Query secondary indexes', async () => {
+    const [keyA, keyB, keyC, keyD] = [uuidv4(), uuidv4(), uuidv4(), uuidv4()];
+    const namespace = uuidv4();
+    const map = new ObservedRemoveMap(db, [[keyA, { status: 'open', priority: 'b' }]], { namespace });
+    await map.readyPromise;
+    await map.createIndex('status', (value) => value.status);
+    await map.createIndex('priority', (value) => value.priority);
+    await map.set(keyB, { status: 'closed', priority: 'a' });
+    await map.set(keyC, { status: 'open', priority: 'c' });
+    await map.set(keyD, { status: 'pending', priority: 'd' });
+    await expect(map.query('status', { eq: 'open' })).asyncIteratesTo(expect.arrayContaining([
+      [keyA, { status: 'open', priority: 'b' }],
+      [keyC, { status: 'open', priority: 'c' }],
+    ]));
+    await expect(map.query('priority')).asyncIteratesTo([keyB, keyA, keyC, keyD].map((key) => [key, expect.any(Object)]));
+    await expect(map.query('priority', { gt: 'a', lt: 'd' })).asyncIteratesTo([[keyA, expect.any(Object)], [keyC, expect.any(Object)]]);
+    await map.set(keyA, { status: 'closed', priority: 'b' });
+    await map.delete(keyC);
+    await expect(map.query('status', { eq: 'open' })).asyncIteratesTo([]);
+    await expect(map.query('status', { eq: 'closed' })).asyncIteratesTo(expect.arrayContaining([[keyA, expect.any(Object)], [keyB, expect.any(Object)]]));
+    await map.shutdown();
+    const restartedMap = new ObservedRemoveMap(db, [], { namespace });
+    await restartedMap.readyPromise;
+    await expect(restartedMap.query('status').next()).rejects.toThrow('Index "status" does not exist');
+    await restartedMap.createIndex('status', (value) => value.status);
+    await expect(restartedMap.query('status', { eq: 'closed' })).asyncIteratesTo(expect.arrayContaining([[keyA, expect.any(Object)], [keyB, expect.any(Object)]]));
+    await restartedMap.shutdown();
+  });
+  test('Skip values which cannot be indexed', async () => {
+    const [keyA, keyB, keyC, keyD] = [uuidv4(), uuidv4(), uuidv4(), uuidv4()];
+    const map = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await map.readyPromise;
+    const indexErrors = [];
+    map.on('indexError', (error, name, key) => indexErrors.push([name, key]));
+    await map.createIndex('status', (value:Object) => value.status.toLowerCase());
+    await map.set(keyA, undefined);
+    await map.set(keyB, null);
+    await map.set(keyC, {});
+    await map.set(keyD, { status: 'OPEN' });
+    expect(map.size).toEqual(4);
+    expect(indexErrors).toEqual([['status', keyC]]);
+    await expect(map.query('status')).asyncIteratesTo([[keyD, { status: 'OPEN' }]]);
+    await map.delete(keyA);
+    await map.set(keyC, { status: 'OPEN' });
+    await expect(map.query('status', { eq: 'open' })).asyncIteratesTo([[keyC, { status: 'OPEN' }], [keyD, { status: 'OPEN' }]].sort(([a], [b]) => (a < b ? -1 : 1)));
+    await map.shutdown();
+  });
+  test('Iterate through ranges of keys', async () => {
+    const map = new ObservedRemoveMap(db, [
+      ['user:1:name', 'a'],
+      ['user:1:email', 'b'],
+      ['user:2:name', 'c'],
+      ['user:10:name', 'd'],
+      ['group:1', 'e'],
+    ], { namespace: uuidv4() });
+    await map.readyPromise;
+    await expect(map.keys({ prefix: 'user:1:' })).asyncIteratesTo(['user:1:email', 'user:1:name']);
+    await expect(map.values({ prefix: 'user:1:', reverse: true })).asyncIteratesTo(['a', 'b']);
+    await expect(map.entries({ prefix: 'user:', limit: 2 })).asyncIteratesTo([['user:10:name', 'd'], ['user:1:email', 'b']]);
+    await expect(map.keys({ gt: 'user:1:name', lte: 'user:2:name' })).asyncIteratesTo(['user:2:name']);
+    await expect(map.keys({ gte: 'user:1:name', lt: 'user:2' })).asyncIteratesTo(['user:1:name']);
+    await expect(map.keys({ prefix: 'user:', gt: 'group:1', lt: 'user:2' })).asyncIteratesTo(['user:10:name', 'user:1:email', 'user:1:name']);
+    await expect(map.keys({ prefix: 'missing' })).asyncIteratesTo([]);
+    await expect(map.keys({ limit: 0 })).asyncIteratesTo([]);
+    await map.shutdown();
+  });
+  test('Page through entries with cursors', async () => {
+    const keys = [];
+    for (let i = 0; i < 10; i += 1) {
+      keys.push(`key:${i}`);
+    }
+    const map = new ObservedRemoveMap(db, keys.map((key) => [key, key]), { namespace: uuidv4() });
+    await map.readyPromise;
+    const firstPage = await map.page({ limit: 4 });
+    expect(firstPage.entries).toEqual(keys.slice(0, 4).map((key) => [key, key]));
+    expect(typeof firstPage.nextCursor).toEqual('string');
+    await map.delete('key:1');
+    await map.delete('key:4');
+    await map.set('key:0a', 'key:0a');
+    await map.set('key:8a', 'key:8a');
+    const secondPage = await map.page({ after: firstPage.nextCursor, limit: 4 });
+    expect(secondPage.entries.map(([key]) => key)).toEqual(['key:5', 'key:6', 'key:7', 'key:8']);
+    const thirdPage = await map.page({ after: secondPage.nextCursor, limit: 4 });
+    expect(thirdPage.entries.map(([key]) => key)).toEqual(['key:8a', 'key:9']);
+    expect(thirdPage.nextCursor).toBeUndefined();
+    const reversePage = await map.page({ after: secondPage.nextCursor, limit: 2, reverse: true });
+    expect(reversePage.entries.map(([key]) => key)).toEqual(['key:7', 'key:6']);
+    await map.shutdown();
+  });
+  test('Watch changes to keys and prefixes', async () => {
+    const alice = new ObservedRemoveMap(db, [['user:1', 'a'], ['group:1', 'b']], { namespace: uuidv4() });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    bob.on('publish', (message) => alice.process(message));
+    const userWatcher = alice.watch({ prefix: 'user:', initial: true });
+    const keyWatcher = alice.watch({ key: 'group:1' });
+    await alice.set('user:2', 'c');
+    await alice.set('group:1', 'd');
+    await bob.set('user:3', 'e');
+    await alice.processQueue.onIdle();
+    await alice.delete('user:1');
+    await expect(userWatcher.next()).resolves.toEqual({ value: { type: 'initial', key: 'user:1', value: 'a', previousValue: undefined, id: expect.any(String), origin: undefined }, done: false });
+    await expect(userWatcher.next()).resolves.toEqual({ value: { type: 'set', key: 'user:2', value: 'c', previousValue: undefined, id: expect.any(String), origin: 'local' }, done: false });
+    await expect(userWatcher.next()).resolves.toEqual({ value: { type: 'set', key: 'user:3', value: 'e', previousValue: undefined, id: expect.any(String), origin: 'remote' }, done: false });
+    await expect(userWatcher.next()).resolves.toEqual({ value: { type: 'delete', key: 'user:1', value: undefined, previousValue: 'a', id: expect.any(String), origin: 'local' }, done: false });
+    await expect(keyWatcher.next()).resolves.toEqual({ value: { type: 'set', key: 'group:1', value: 'd', previousValue: 'b', id: expect.any(String), origin: 'local' }, done: false });
+    const nextPromise = keyWatcher.next();
+    await expect(keyWatcher.return()).resolves.toEqual({ value: undefined, done: true });
+    await expect(nextPromise).resolves.toEqual({ value: undefined, done: true });
+    await expect(userWatcher.return()).resolves.toEqual({ value: undefined, done: true });
+    expect(alice.listenerCount('change')).toEqual(0);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+  test('Include ids and origins in events', async () => {
+    const key = uuidv4();
+    const alice = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    const aliceEvents = [];
+    const bobEvents = [];
+    alice.on('set', (...args) => aliceEvents.push(['set', ...args]));
+    alice.on('delete', (...args) => aliceEvents.push(['delete', ...args]));
+    bob.on('set', (...args) => bobEvents.push(['set', ...args]));
+    bob.on('delete', (...args) => bobEvents.push(['delete', ...args]));
+    await alice.set(key, 1, 'a');
+    await bob.process(await alice.dump(), { origin: 'alice' });
+    await alice.delete(key);
+    await bob.process(await alice.dump());
+    expect(aliceEvents).toEqual([
+      ['set', key, 1, undefined, { id: 'a', origin: 'local' }],
+      ['delete', key, 1, { id: 'a', origin: 'local' }],
+    ]);
+    expect(bobEvents).toEqual([
+      ['set', key, 1, undefined, { id: 'a', origin: 'alice' }],
+      ['delete', key, 1, { id: 'a', origin: 'remote' }],
+    ]);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+  test('Emit conflict events', async () => {
+    const keyA = uuidv4();
+    const keyB = uuidv4();
+    const alice = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    const aliceConflicts = [];
+    const bobConflicts = [];
+    alice.on('conflict', (...args) => aliceConflicts.push(args));
+    bob.on('conflict', (...args) => bobConflicts.push(args));
+    await alice.set(keyA, 1, 'b');
+    await bob.set(keyA, 2, 'a');
+    const bobDump = await bob.dump();
+    await bob.process(await alice.dump(), { origin: 'alice' });
+    await alice.process(bobDump, { origin: 'bob' });
+    await expect(alice.get(keyA)).resolves.toEqual(1);
+    await expect(bob.get(keyA)).resolves.toEqual(1);
+    expect(aliceConflicts).toEqual([
+      [keyA, { winner: 'local', winningId: 'b', winningValue: 1, losingId: 'a', losingValue: 2, deleted: false, origin: 'bob' }],
+    ]);
+    expect(bobConflicts).toEqual([
+      [keyA, { winner: 'incoming', winningId: 'b', winningValue: 1, losingId: 'a', losingValue: 2, deleted: false, origin: 'alice' }],
+    ]);
+    await bob.set(keyA, 3, 'c');
+    await alice.process(await bob.dump(), { origin: 'bob' });
+    expect(aliceConflicts.length).toEqual(1);
+    await bob.process([[], [['d', keyB]]], { origin: 'alice' });
+    await bob.process([[[keyB, ['d', 4]]], []], { origin: 'alice' });
+    await expect(bob.has(keyB)).resolves.toEqual(false);
+    expect(bobConflicts[1]).toEqual([keyB, { winner: 'deletion', winningId: undefined, winningValue: undefined, losingId: 'd', losingValue: 4, deleted: true, origin: 'alice' }]);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
 });
 
+describe('Map digest synchronization', () => {
+  let db;
+
+  beforeEach(async () => {
+    const location = path.join(os.tmpdir(), uuidv4());
+    db = level(location, { valueEncoding: 'json' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  const connect = (alice, bob, publishedMessages) => {
+    alice.on('digest', (digest) => {
+      bob.processDigest(digest);
+    });
+    bob.on('digest', (digest) => {
+      alice.processDigest(digest);
+    });
+    alice.on('publish', (message) => {
+      publishedMessages.push(message);
+      bob.process(message);
+    });
+    bob.on('publish', (message) => {
+      publishedMessages.push(message);
+      alice.process(message);
+    });
+  };
+
+  const settle = async (alice, bob) => {
+    for (let i = 0; i < 20; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      await Promise.all([alice.processQueue.onIdle(), bob.processQueue.onIdle()]);
+    }
+  };
+
+  test('Synchronize maps by exchanging differing hash tree leaves', async () => {
+    const entries = [];
+    for (let i = 0; i < 100; i += 1) {
+      entries.push([uuidv4(), generateValue()]);
+    }
+    const alice = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    await expect(alice.getHash()).resolves.toEqual(await bob.getHash());
+    await alice.process([entries.map(([key, value]) => [key, [generateId(), value]]), []]);
+    await bob.process(await alice.dump());
+    await expect(alice.getHash()).resolves.toEqual(await bob.getHash());
+    const keyX = uuidv4();
+    const keyY = uuidv4();
+    const valueX = generateValue();
+    const valueY = generateValue();
+    const [keyZ] = entries[0];
+    await alice.set(keyX, valueX);
+    await bob.set(keyY, valueY);
+    await bob.delete(keyZ);
+    await expect(alice.getHash()).resolves.not.toEqual(await bob.getHash());
+    const publishedMessages = [];
+    connect(alice, bob, publishedMessages);
+    await alice.syncDigest();
+    await settle(alice, bob);
+    await expect(alice.get(keyX)).resolves.toEqual(valueX);
+    await expect(alice.get(keyY)).resolves.toEqual(valueY);
+    await expect(alice.get(keyZ)).resolves.toBeUndefined();
+    await expect(bob.get(keyX)).resolves.toEqual(valueX);
+    await expect(bob.get(keyY)).resolves.toEqual(valueY);
+    await expect(bob.get(keyZ)).resolves.toBeUndefined();
+    await expect(alice.getHash()).resolves.toEqual(await bob.getHash());
+    const publishedInsertions = publishedMessages.reduce((count, [insertions]) => count + insertions.length, 0);
+    expect(publishedInsertions).toBeGreaterThan(0);
+    expect(publishedInsertions).toBeLessThan(entries.length);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+
+  test('Remove flushed deletions from the hash tree', async () => {
+    const key = uuidv4();
+    const map = new ObservedRemoveMap(db, [], { maxAge: 100, namespace: uuidv4() });
+    await map.readyPromise;
+    const emptyHash = await map.getHash();
+    await map.set(key, generateValue());
+    await map.delete(key);
+    await expect(map.getHash()).resolves.not.toEqual(emptyHash);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await map.flush();
+    await expect(map.getHash()).resolves.toEqual(emptyHash);
+    await map.shutdown();
+  });
+
+  test('Remove flushed deletions from the hash tree once when flushing concurrently', async () => {
+    const map = new ObservedRemoveMap(db, [], { maxAge: 100, namespace: uuidv4() });
+    await map.readyPromise;
+    const emptyHash = await map.getHash();
+    for (let i = 0; i < 10; i += 1) {
+      const key = uuidv4();
+      await map.set(key, generateValue());
+      await map.delete(key);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const batch = db.batch.bind(db);
+    db.batch = async (operations) => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return batch(operations);
+    };
+    await Promise.all([map.flush(), map.flush()]);
+    db.batch = batch;
+    await expect(map.getHash()).resolves.toEqual(emptyHash);
+    await map.shutdown();
+  });
+
+  test('Rebuild the hash tree', async () => {
+    const map = new ObservedRemoveMap(db, [[uuidv4(), generateValue()], [uuidv4(), generateValue()]], { namespace: uuidv4() });
+    await map.readyPromise;
+    const hash = await map.getHash();
+    await map.rebuildHashTree();
+    await expect(map.getHash()).resolves.toEqual(hash);
+    await map.shutdown();
+  });
+});
+
+describe('Map delta synchronization', () => {
+  let db;
+
+  beforeEach(async () => {
+    const location = path.join(os.tmpdir(), uuidv4());
+    db = level(location, { valueEncoding: 'json' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('Synchronize insertions and deletions since an id', async () => {
+    const keyA = uuidv4();
+    const keyB = uuidv4();
+    const keyC = uuidv4();
+    const valueA = generateValue();
+    const valueB = generateValue();
+    const valueC = generateValue();
+    const alice = new ObservedRemoveMap(db, [[keyA, valueA], [keyB, valueB]], { namespace: uuidv4() });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    const delta1 = await alice.dumpSince('');
+    expect(delta1[3]).toEqual(true);
+    await expect(bob.processSince(delta1)).resolves.toEqual(false);
+    await bob.process(await alice.dump());
+    const delta2 = await alice.dumpSince(delta1[2]);
+    expect(delta2[0]).toEqual([]);
+    expect(delta2[1]).toEqual([]);
+    await alice.set(keyC, valueC);
+    await alice.delete(keyA);
+    const delta3 = await alice.dumpSince(delta2[2]);
+    expect(delta3[3]).toEqual(false);
+    expect(delta3[0].map(([key]) => key)).toEqual([keyC]);
+    expect(delta3[1].map(([, key]) => key)).toEqual([keyA]);
+    await expect(bob.processSince(delta3)).resolves.toEqual(true);
+    await expect(bob.get(keyA)).resolves.toBeUndefined();
+    await expect(bob.get(keyB)).resolves.toEqual(valueB);
+    await expect(bob.get(keyC)).resolves.toEqual(valueC);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+
+  test('Require a full resynchronization after maxAge', async () => {
+    const map = new ObservedRemoveMap(db, [[uuidv4(), generateValue()]], { maxAge: 100, namespace: uuidv4() });
+    await map.readyPromise;
+    const [, , id] = await map.dumpSince('');
+    await map.set(uuidv4(), generateValue());
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const [insertions, deletions, , resync] = await map.dumpSince(id);
+    expect(insertions).toEqual([]);
+    expect(deletions).toEqual([]);
+    expect(resync).toEqual(true);
+    await map.shutdown();
+  });
+  test('Include operations committed while dumping', async () => {
+    const key = uuidv4();
+    const map = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await map.readyPromise;
+    const [, , id] = await map.dumpSince('');
+    const batch = db.batch.bind(db);
+    db.batch = async (operations) => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return batch(operations);
+    };
+    const setPromise = map.set(key, 1);
+    await new Promise((resolve) => setTimeout(resolve, 25));
+    const [insertions1, , nextId] = await map.dumpSince(id);
+    await setPromise;
+    const [insertions2] = await map.dumpSince(nextId);
+    db.batch = batch;
+    expect(insertions1.concat(insertions2)).toEqual([[key, [expect.any(String), 1]]]);
+    await map.shutdown();
+  });
+});
+
+describe('Map streaming synchronization', () => {
+  let db;
+
+  beforeEach(async () => {
+    const location = path.join(os.tmpdir(), uuidv4());
+    db = level(location, { valueEncoding: 'json' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('Synchronize maps in chunks', async () => {
+    const entries = [];
+    for (let i = 0; i < 25; i += 1) {
+      entries.push([uuidv4(), generateValue()]);
+    }
+    const alice = new ObservedRemoveMap(db, entries, { namespace: uuidv4() });
+    const bob = new ObservedRemoveMap(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    const [deletedKey] = entries[0];
+    await alice.delete(deletedKey);
+    const chunks = [];
+    for await (const chunk of alice.dumpStream(10)) {
+      chunks.push(chunk);
+    }
+    expect(chunks.map(([insertions, deletions]) => [insertions.length, deletions.length])).toEqual([[0, 1], [10, 0], [10, 0], [4, 0]]);
+    let bobDeleteCount = 0;
+    bob.on('delete', () => (bobDeleteCount += 1));
+    await bob.processStream(alice.dumpStream(10));
+    expect(bobDeleteCount).toEqual(0);
+    expect(bob.size).toEqual(24);
+    await expect(bob.get(deletedKey)).resolves.toBeUndefined();
+    await expect(bob).asyncIteratesTo(expect.arrayContaining(entries.slice(1)));
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+});
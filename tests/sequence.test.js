@@ -0,0 +1,141 @@
+// @flow
+
+import os from 'os';
+import path from 'path';
+import expect from 'expect';
+import { v4 as uuidv4 } from 'uuid';
+import level from 'level';
+import { ObservedRemoveSequence } from '../src';
+import { generateValue } from './lib/values';
+import './lib/async-iterator-comparison';
+
+const toArray = async (asyncIterable) => {
+  const values = [];
+  for await (const value of asyncIterable) {
+    values.push(value);
+  }
+  return values;
+};
+
+describe('Sequence', () => {
+  let db;
+
+  beforeEach(async () => {
+    const location = path.join(os.tmpdir(), uuidv4());
+    db = level(location, { valueEncoding: 'json' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('Insert, delete and move values', async () => {
+    const A = generateValue();
+    const B = generateValue();
+    const C = generateValue();
+    const D = generateValue();
+    const sequence = new ObservedRemoveSequence(db, [A, C], { namespace: uuidv4() });
+    await sequence.readyPromise;
+    expect(sequence.size).toEqual(2);
+    await sequence.insertAt(1, B);
+    await sequence.insertAt(0, D);
+    await expect(sequence).asyncIteratesTo([D, A, B, C]);
+    await expect(sequence.get(2)).resolves.toEqual(B);
+    await sequence.move(0, 3);
+    await expect(sequence.values()).asyncIteratesTo([A, B, C, D]);
+    await sequence.move(2, 0);
+    await expect(sequence.entries()).asyncIteratesTo([[0, C], [1, A], [2, B], [3, D]]);
+    await sequence.deleteAt(1);
+    await expect(sequence).asyncIteratesTo([C, B, D]);
+    expect(sequence.size).toEqual(3);
+    await sequence.clear();
+    expect(sequence.size).toEqual(0);
+    await expect(sequence.get(0)).resolves.toBeUndefined();
+    await sequence.shutdown();
+  });
+
+  test('Keep order when inserting repeatedly at the same index', async () => {
+    const expected = [];
+    const sequence = new ObservedRemoveSequence(db, [], { namespace: uuidv4() });
+    await sequence.readyPromise;
+    for (let i = 0; i < 50; i += 1) {
+      await sequence.insertAt(i % 2 === 0 ? 0 : 1, i);
+    }
+    for (let i = 48; i >= 0; i -= 2) {
+      expected.push(i, i + 1);
+    }
+    await expect(sequence).asyncIteratesTo(expected);
+    await sequence.shutdown();
+  });
+
+  test('Synchronize sequences', async () => {
+    const A = generateValue();
+    const B = generateValue();
+    const C = generateValue();
+    const alice = new ObservedRemoveSequence(db, [A], { namespace: uuidv4() });
+    const bob = new ObservedRemoveSequence(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    await bob.process(await alice.dump());
+    await expect(bob).asyncIteratesTo([A]);
+    alice.on('publish', (message) => bob.process(message));
+    bob.on('publish', (message) => alice.process(message));
+    await Promise.all([
+      alice.insertAt(1, B),
+      bob.insertAt(1, C),
+    ]);
+    await Promise.all([alice.processQueue.onIdle(), bob.processQueue.onIdle()]);
+    await expect(alice).asyncIteratesTo(await toArray(bob));
+    expect(alice.size).toEqual(3);
+    await alice.move(0, 2);
+    await Promise.all([alice.processQueue.onIdle(), bob.processQueue.onIdle()]);
+    await expect(bob.get(2)).resolves.toEqual(A);
+    await bob.deleteAt(0);
+    await Promise.all([alice.processQueue.onIdle(), bob.processQueue.onIdle()]);
+    await expect(alice).asyncIteratesTo(await toArray(bob));
+    expect(alice.size).toEqual(2);
+    expect(bob.size).toEqual(2);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+
+  test('Converge concurrent moves of the same item', async () => {
+    const [A, B, C, D] = [generateValue(), generateValue(), generateValue(), generateValue()];
+    const alice = new ObservedRemoveSequence(db, [A, B, C, D], { namespace: uuidv4() });
+    const bob = new ObservedRemoveSequence(db, [], { namespace: uuidv4() });
+    const carol = new ObservedRemoveSequence(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise, carol.readyPromise]);
+    await bob.process(await alice.dump());
+    const aliceMessages = [];
+    const bobMessages = [];
+    alice.on('publish', (message) => aliceMessages.push(message));
+    bob.on('publish', (message) => bobMessages.push(message));
+    await alice.move(0, 3);
+    await bob.move(0, 1);
+    for (const message of bobMessages) {
+      await alice.process(message);
+    }
+    for (const message of aliceMessages) {
+      await bob.process(message);
+    }
+    const values = await toArray(alice);
+    expect(values.length).toEqual(4);
+    await expect(bob).asyncIteratesTo(values);
+    expect([[B, C, D, A], [B, A, C, D]]).toContainEqual(values);
+    for (const message of aliceMessages.concat(bobMessages)) {
+      await carol.process(message);
+    }
+    await carol.process(await alice.dump());
+    await expect(carol).asyncIteratesTo(values);
+    expect(carol.size).toEqual(4);
+    await bob.deleteAt(values.findIndex((value) => JSON.stringify(value) === JSON.stringify(A)));
+    await alice.process(await bob.dump());
+    await expect(alice).asyncIteratesTo([B, C, D]);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+      carol.shutdown(),
+    ]);
+  });
+});
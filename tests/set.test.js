@@ -0,0 +1,158 @@
+// @flow
+
+import os from 'os';
+import path from 'path';
+import expect from 'expect';
+import { v4 as uuidv4 } from 'uuid';
+import level from 'level';
+import { ObservedRemoveSet } from '../src';
+import { generateValue } from './lib/values';
+import './lib/async-iterator-comparison';
+
+describe('Set', () => {
+  let db;
+
+  beforeEach(async () => {
+    const location = path.join(os.tmpdir(), uuidv4());
+    db = level(location, { valueEncoding: 'json' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('Add and delete values', async () => {
+    const A = generateValue();
+    const B = generateValue();
+    const set = new ObservedRemoveSet(db, [], { namespace: uuidv4() });
+    await set.readyPromise;
+    expect(set.size).toEqual(0);
+    await set.add(A);
+    await expect(set.has(A)).resolves.toEqual(true);
+    await expect(set.has(B)).resolves.toEqual(false);
+    expect(set.size).toEqual(1);
+    await set.add(B);
+    await expect(set.has(A)).resolves.toEqual(true);
+    await expect(set.has(B)).resolves.toEqual(true);
+    expect(set.size).toEqual(2);
+    await set.delete(B);
+    await expect(set.has(A)).resolves.toEqual(true);
+    await expect(set.has(B)).resolves.toEqual(false);
+    expect(set.size).toEqual(1);
+    await set.delete(A);
+    await expect(set.has(A)).resolves.toEqual(false);
+    await expect(set.has(B)).resolves.toEqual(false);
+    expect(set.size).toEqual(0);
+    await set.add(A);
+    await set.add(B);
+    await set.add(B);
+    expect(set.size).toEqual(2);
+    await expect(set.values()).asyncIteratesTo(expect.arrayContaining([A, B]));
+    await expect(set.keys()).asyncIteratesTo(expect.arrayContaining([A, B]));
+    await expect(set.entries()).asyncIteratesTo(expect.arrayContaining([[A, A], [B, B]]));
+    await expect(set).asyncIteratesTo(expect.arrayContaining([A, B]));
+    await set.shutdown();
+  });
+
+  test('Emit add and delete events', async () => {
+    const A = generateValue();
+    const set = new ObservedRemoveSet(db, [], { namespace: uuidv4() });
+    await set.readyPromise;
+    const addPromise = new Promise((resolve) => {
+      set.once('add', (v) => {
+        expect(v).toEqual(A);
+        resolve();
+      });
+    });
+    await set.add(A);
+    await addPromise;
+    const deletePromise = new Promise((resolve) => {
+      set.once('delete', (v) => {
+        expect(v).toEqual(A);
+        resolve();
+      });
+    });
+    await set.delete(A);
+    await deletePromise;
+    await set.shutdown();
+  });
+
+  test('Clear and flush values', async () => {
+    const A = generateValue();
+    const B = generateValue();
+    const C = generateValue();
+    const set = new ObservedRemoveSet(db, [A, B, C], { maxAge: 0, namespace: uuidv4() });
+    await set.readyPromise;
+    expect(set.size).toEqual(3);
+    await set.clear();
+    expect(set.size).toEqual(0);
+    expect((await set.deletions()).length).toEqual(3);
+    await set.flush();
+    expect((await set.deletions()).length).toEqual(0);
+    await set.shutdown();
+  });
+
+  test('Synchronize sets', async () => {
+    const X = generateValue();
+    const Y = generateValue();
+    const Z = generateValue();
+    const alice = new ObservedRemoveSet(db, [], { namespace: uuidv4() });
+    const bob = new ObservedRemoveSet(db, [], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    let aliceAddCount = 0;
+    let bobAddCount = 0;
+    let aliceDeleteCount = 0;
+    let bobDeleteCount = 0;
+    alice.on('add', () => (aliceAddCount += 1));
+    bob.on('add', () => (bobAddCount += 1));
+    alice.on('delete', () => (aliceDeleteCount += 1));
+    bob.on('delete', () => (bobDeleteCount += 1));
+    alice.on('publish', (message) => {
+      bob.process(message);
+    });
+    bob.on('publish', (message) => {
+      alice.process(message);
+    });
+    await alice.add(X);
+    await alice.add(Y);
+    await bob.add(Z);
+    while (aliceAddCount !== 3 || bobAddCount !== 3) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    await expect(alice).asyncIteratesTo(expect.arrayContaining([X, Y, Z]));
+    await expect(bob).asyncIteratesTo(expect.arrayContaining([X, Y, Z]));
+    await bob.delete(X);
+    await alice.delete(Y);
+    await alice.delete(Z);
+    while (aliceDeleteCount !== 3 || bobDeleteCount !== 3) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    expect(alice.size).toEqual(0);
+    expect(bob.size).toEqual(0);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+
+  test('Synchronize mixed sets using sync', async () => {
+    const A = generateValue();
+    const B = generateValue();
+    const X = generateValue();
+    const alice = new ObservedRemoveSet(db, [A, B], { namespace: uuidv4() });
+    const bob = new ObservedRemoveSet(db, [X], { namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    await bob.delete(X);
+    await alice.process(await bob.dump());
+    await bob.process(await alice.dump());
+    await expect(alice).asyncIteratesTo(expect.arrayContaining([A, B]));
+    await expect(bob).asyncIteratesTo(expect.arrayContaining([A, B]));
+    await expect(alice.has(X)).resolves.toEqual(false);
+    expect(alice.size).toEqual(2);
+    expect(bob.size).toEqual(2);
+    await Promise.all([
+      alice.shutdown(),
+      bob.shutdown(),
+    ]);
+  });
+});
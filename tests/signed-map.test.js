@@ -1,12 +1,13 @@
 // @flow
 
+import crypto from 'crypto';
 import NodeRSA from 'node-rsa';
 import expect from 'expect';
 import { v4 as uuidv4 } from 'uuid';
 import os from 'os';
 import path from 'path';
 import level from 'level';
-import { InvalidSignatureError, SignedObservedRemoveMap, getSigner, generateId } from '../src';
+import { InvalidSignatureError, UnauthorizedWriteError, SignedObservedRemoveMap, getSigner, getVerifier, getFingerprint, generateId } from '../src';
 import { generateValue } from './lib/values';
 import './lib/async-iterator-comparison';
 
@@ -562,4 +563,340 @@ describe('Signed Map', () => {
       await map.shutdown();
     }
   });
+
+  test('Synchronize maps using digests', async () => {
+    const keyX = uuidv4();
+    const keyY = uuidv4();
+    const valueX = generateValue();
+    const valueY = generateValue();
+    const alice = new SignedObservedRemoveMap(db, [], { key, namespace: uuidv4() });
+    const bob = new SignedObservedRemoveMap(db, [], { key, namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    const idX = generateId();
+    await alice.setSigned(keyX, valueX, idX, sign(keyX, valueX, idX));
+    const idY = generateId();
+    await bob.setSigned(keyY, valueY, idY, sign(keyY, valueY, idY));
+    alice.on('digest', (digest) => {
+      bob.processDigest(digest);
+    });
+    bob.on('digest', (digest) => {
+      alice.processDigest(digest);
+    });
+    alice.on('publish', (message) => {
+      bob.processSigned(message);
+    });
+    bob.on('publish', (message) => {
+      alice.processSigned(message);
+    });
+    await alice.syncDigest();
+    while (!(await alice.has(keyY)) || !(await bob.has(keyX))) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    await expect(alice.get(keyY)).resolves.toEqual(valueY);
+    await expect(bob.get(keyX)).resolves.toEqual(valueX);
+    await Promise.all([alice.shutdown(), bob.shutdown()]);
+  });
+
+  test('Synchronize maps using deltas', async () => {
+    const keyX = uuidv4();
+    const valueX = generateValue();
+    const alice = new SignedObservedRemoveMap(db, [], { key, namespace: uuidv4() });
+    const bob = new SignedObservedRemoveMap(db, [], { key, namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    const [, , id] = await alice.dumpSince('');
+    const idX = generateId();
+    await alice.setSigned(keyX, valueX, idX, sign(keyX, valueX, idX));
+    await expect(bob.processSince(await alice.dumpSince(id))).resolves.toEqual(true);
+    await expect(bob.get(keyX)).resolves.toEqual(valueX);
+    await Promise.all([alice.shutdown(), bob.shutdown()]);
+  });
+
+  test('Synchronize maps using streams', async () => {
+    const keyX = uuidv4();
+    const keyY = uuidv4();
+    const valueX = generateValue();
+    const valueY = generateValue();
+    const alice = new SignedObservedRemoveMap(db, [], { key, namespace: uuidv4() });
+    const bob = new SignedObservedRemoveMap(db, [], { key, namespace: uuidv4() });
+    await Promise.all([alice.readyPromise, bob.readyPromise]);
+    const idX = generateId();
+    await alice.setSigned(keyX, valueX, idX, sign(keyX, valueX, idX));
+    const idY = generateId();
+    await alice.setSigned(keyY, valueY, idY, sign(keyY, valueY, idY));
+    await alice.deleteSigned(keyY, idY, sign(keyY, idY));
+    await bob.processStream(alice.dumpStream(1));
+    await expect(bob.get(keyX)).resolves.toEqual(valueX);
+    await expect(bob.get(keyY)).resolves.toBeUndefined();
+    await Promise.all([alice.shutdown(), bob.shutdown()]);
+  });
+
+  test('Sign and verify with Ed25519 and ECDSA keys', async () => {
+    const keyX = uuidv4();
+    const valueX = generateValue();
+    const idX = generateId();
+    const rsaSignature = sign(keyX, valueX, idX);
+    expect(getVerifier(key)(rsaSignature, keyX, valueX, idX)).toEqual(true);
+    expect(getVerifier(privateKey.exportKey('pkcs1-public-der'), 'pkcs1-public-der')(rsaSignature, keyX, valueX, idX)).toEqual(true);
+    for (const [type, options] of [['ed25519', undefined], ['ec', { namedCurve: 'prime256v1' }]]) {
+      const { privateKey: keyObject, publicKey: publicKeyObject } = (crypto:any).generateKeyPairSync(type, options);
+      const privateJwk = keyObject.export({ format: 'jwk' });
+      const publicPem = publicKeyObject.export({ type: 'spki', format: 'pem' });
+      const signature = getSigner(keyObject)(keyX, valueX, idX);
+      expect(getVerifier(publicKeyObject)(signature, keyX, valueX, idX)).toEqual(true);
+      expect(getVerifier(publicPem)(signature, keyX, valueX, idX)).toEqual(true);
+      expect(getVerifier(privateJwk)(signature, keyX, valueX, idX)).toEqual(true);
+      expect(getVerifier(publicPem)(signature, keyX, valueX, generateId())).toEqual(false);
+      expect(getVerifier(publicPem)('***', keyX, valueX, idX)).toEqual(false);
+      expect(getVerifier(publicPem)(rsaSignature, keyX, valueX, idX)).toEqual(false);
+      expect(() => getVerifier(publicPem, undefined, 'rsa')).toThrow();
+      const signJwk = getSigner(privateJwk);
+      const map = new SignedObservedRemoveMap(db, [], { key: publicPem, algorithm: type === 'ec' ? 'ecdsa' : 'ed25519', namespace: uuidv4() });
+      await map.readyPromise;
+      const idY = generateId();
+      await map.setSigned(keyX, valueX, idY, signJwk(keyX, valueX, idY));
+      await expect(map.get(keyX)).resolves.toEqual(valueX);
+      await expect(map.setSigned(keyX, valueX, generateId(), rsaSignature)).rejects.toThrowError(InvalidSignatureError);
+      await map.deleteSigned(keyX, idY, signJwk(keyX, idY));
+      await expect(map.has(keyX)).resolves.toEqual(false);
+      await map.shutdown();
+    }
+  });
+
+  test('Verify signatures with a keyring', async () => {
+    const keyX = uuidv4();
+    const valueX = generateValue();
+    const idAt = (time) => `${time.toString(36).padStart(9, '0')}${generateId().slice(9)}`;
+    const now = Date.now();
+    const [aliceKeys, bobKeys] = [0, 1].map(() => (crypto:any).generateKeyPairSync('ed25519'));
+    const aliceSign = getSigner(aliceKeys.privateKey, undefined, undefined, 'alice');
+    const bobSign = getSigner(bobKeys.privateKey, undefined, undefined, 'bob');
+    const map = new SignedObservedRemoveMap(db, [], {
+      key,
+      keys: [{ id: 'alice', key: aliceKeys.publicKey, notAfter: now + 60000 }],
+      namespace: uuidv4(),
+    });
+    await map.readyPromise;
+    const id1 = idAt(now);
+    expect(aliceSign(keyX, valueX, id1)).toMatch(/^alice:/);
+    await map.setSigned(keyX, valueX, id1, aliceSign(keyX, valueX, id1));
+    const id2 = idAt(now + 1);
+    await map.setSigned(keyX, valueX, id2, sign(keyX, valueX, id2));
+    const id3 = idAt(now + 120000);
+    await expect(map.setSigned(keyX, valueX, id3, aliceSign(keyX, valueX, id3))).rejects.toThrowError(InvalidSignatureError);
+    await expect(map.setSigned(keyX, valueX, id3, bobSign(keyX, valueX, id3))).rejects.toThrowError(InvalidSignatureError);
+    map.addKey('bob', bobKeys.publicKey, { algorithm: 'ed25519', notBefore: now });
+    await map.setSigned(keyX, valueX, id3, bobSign(keyX, valueX, id3));
+    await expect(map.setSigned(keyX, valueX, idAt(now - 1), bobSign(keyX, valueX, idAt(now - 1)))).rejects.toThrowError(InvalidSignatureError);
+    map.revokeKey('bob', now + 180000);
+    const id4 = idAt(now + 170000);
+    await map.setSigned(keyX, valueX, id4, bobSign(keyX, valueX, id4));
+    const id5 = idAt(now + 180000);
+    await expect(map.setSigned(keyX, valueX, id5, bobSign(keyX, valueX, id5))).rejects.toThrowError(InvalidSignatureError);
+    await expect(map.deleteSigned(keyX, id5, bobSign(keyX, id5))).rejects.toThrowError(InvalidSignatureError);
+    await expect(map.get(keyX)).resolves.toEqual(valueX);
+    const revokedAt = Date.now();
+    map.revokeKey('bob', revokedAt);
+    const keyZ = uuidv4();
+    const id6 = idAt(now);
+    await map.setSigned(keyZ, valueX, id6, bobSign(keyZ, valueX, id6));
+    const replica = new SignedObservedRemoveMap(db, [], { key, keys: [{ id: 'bob', key: bobKeys.publicKey }], namespace: uuidv4() });
+    await replica.readyPromise;
+    replica.revokeKey('bob', revokedAt);
+    const [insertions] = await map.dump();
+    await replica.processSigned([insertions.filter((message) => message[2] === keyZ), []]);
+    await expect(replica.get(keyZ)).resolves.toEqual(valueX);
+    await replica.shutdown();
+    map.revokeKey('bob', revokedAt, { rejectAll: true });
+    const keyW = uuidv4();
+    await expect(map.setSigned(keyW, valueX, id6, bobSign(keyW, valueX, id6))).rejects.toThrowError(InvalidSignatureError);
+    await expect(map.deleteSigned(keyX, id4, bobSign(keyX, id4, now), now)).rejects.toThrowError(InvalidSignatureError);
+    await expect(map.deleteSigned(keyX, id4, bobSign(keyX, id4))).rejects.toThrowError(InvalidSignatureError);
+    const keyY = uuidv4();
+    const id7 = idAt(now);
+    await map.setSigned(keyY, valueX, id7, sign(keyY, valueX, id7));
+    const daveKeys = (crypto:any).generateKeyPairSync('ed25519');
+    const daveSign = getSigner(daveKeys.privateKey, undefined, undefined, 'dave');
+    const rotatedAt = Date.now();
+    map.addKey('dave', daveKeys.publicKey, { notBefore: rotatedAt });
+    await expect(map.deleteSigned(keyY, id7, daveSign(keyY, id7))).rejects.toThrowError(InvalidSignatureError);
+    await expect(map.deleteSigned(keyY, id7, daveSign(keyY, id7, rotatedAt - 1), rotatedAt - 1)).rejects.toThrowError(InvalidSignatureError);
+    await expect(map.deleteSigned(keyY, id7, daveSign(keyY, id7), rotatedAt)).rejects.toThrowError(InvalidSignatureError);
+    await map.deleteSigned(keyY, id7, daveSign(keyY, id7, rotatedAt), rotatedAt);
+    await expect(map.has(keyY)).resolves.toEqual(false);
+    const [, deletions] = await map.dump();
+    expect(deletions).toContainEqual([daveSign(keyY, id7, rotatedAt), id7, keyY, rotatedAt]);
+    expect(() => map.revokeKey('carol')).toThrow();
+    expect(() => map.addKey('carol:1', bobKeys.publicKey)).toThrow();
+    await map.shutdown();
+  });
+
+  test('Get signers of values', async () => {
+    const keyX = uuidv4();
+    const keyY = uuidv4();
+    const valueX = generateValue();
+    const valueY = generateValue();
+    const aliceKeys = (crypto:any).generateKeyPairSync('ed25519');
+    const aliceSign = getSigner(aliceKeys.privateKey, undefined, undefined, 'alice');
+    const aliceFingerprint = getFingerprint(aliceKeys.publicKey);
+    const fingerprint = getFingerprint(key);
+    expect(getFingerprint(aliceKeys.privateKey)).toEqual(aliceFingerprint);
+    expect(getFingerprint(privateKey)).toEqual(fingerprint);
+    const map = new SignedObservedRemoveMap(db, [], { key, keys: [{ id: 'alice', key: aliceKeys.publicKey }], namespace: uuidv4() });
+    await map.readyPromise;
+    await expect(map.getSigned(keyX)).resolves.toBeUndefined();
+    const idX = generateId();
+    const signatureX = aliceSign(keyX, valueX, idX);
+    await map.setSigned(keyX, valueX, idX, signatureX);
+    const idY = generateId();
+    await map.setSigned(keyY, valueY, idY, aliceSign(keyY, valueY, idY));
+    await expect(map.getSigned(keyX)).resolves.toEqual({ value: valueX, id: idX, signature: signatureX, fingerprint: aliceFingerprint });
+    await expect(map.bySigner(aliceFingerprint)).asyncIteratesTo(expect.arrayContaining([[keyX, valueX], [keyY, valueY]]));
+    const idZ = generateId();
+    const signatureZ = sign(keyY, valueX, idZ);
+    await map.setSigned(keyY, valueX, idZ, signatureZ);
+    await expect(map.getSigned(keyY)).resolves.toEqual({ value: valueX, id: idZ, signature: signatureZ, fingerprint });
+    await expect(map.bySigner(aliceFingerprint)).asyncIteratesTo([[keyX, valueX]]);
+    await expect(map.bySigner(fingerprint)).asyncIteratesTo([[keyY, valueX]]);
+    await expect(db.get(`${map.namespace}{${idY}`)).rejects.toThrow();
+    await expect(db.get(`${map.namespace}}${aliceFingerprint}${idY}`)).rejects.toThrow();
+    await map.deleteSigned(keyX, idX, aliceSign(keyX, idX));
+    await expect(map.bySigner(aliceFingerprint)).asyncIteratesTo([]);
+    await expect(db.get(`${map.namespace}{${idX}`)).rejects.toThrow();
+    await expect(db.get(`${map.namespace}}${aliceFingerprint}${idX}`)).rejects.toThrow();
+    await map.shutdown();
+  });
+
+  test('Write signatures in the same batch as the values', async () => {
+    const keyX = uuidv4();
+    const valueX = generateValue();
+    const map = new SignedObservedRemoveMap(db, [], { key, namespace: uuidv4() });
+    await map.readyPromise;
+    const idX = generateId();
+    const batch = db.batch.bind(db);
+    db.batch = () => Promise.reject(new Error('Batch failed'));
+    await expect(map.setSigned(keyX, valueX, idX, sign(keyX, valueX, idX))).rejects.toThrow('Batch failed');
+    db.batch = batch;
+    await expect(db.get(`${map.namespace}[${idX}`)).rejects.toThrow();
+    await expect(db.get(`${map.namespace}{${idX}`)).rejects.toThrow();
+    await expect(map.bySigner(getFingerprint(key))).asyncIteratesTo([]);
+    await map.setSigned(keyX, valueX, idX, sign(keyX, valueX, idX));
+    await expect(map.getSigned(keyX)).resolves.toEqual(expect.objectContaining({ value: valueX, id: idX, fingerprint: getFingerprint(key) }));
+    await map.shutdown();
+  });
+
+  test('Restrict signers to key prefixes', async () => {
+    const keyA = `tenant:a:${uuidv4()}`;
+    const keyB = `tenant:b:${uuidv4()}`;
+    const value = generateValue();
+    const tenantKeys = (crypto:any).generateKeyPairSync('ed25519');
+    const tenantSign = getSigner(tenantKeys.privateKey, undefined, undefined, 'tenant');
+    const tenantFingerprint = getFingerprint(tenantKeys.publicKey);
+    const map = new SignedObservedRemoveMap(db, [], {
+      key,
+      keys: [{ id: 'tenant', key: tenantKeys.publicKey }],
+      permissions: [['tenant:a:', [tenantFingerprint]], ['', [getFingerprint(key)]]],
+      namespace: uuidv4(),
+    });
+    await map.readyPromise;
+    const id1 = generateId();
+    await map.setSigned(keyA, value, id1, tenantSign(keyA, value, id1));
+    const id2 = generateId();
+    await expect(map.setSigned(keyB, value, id2, tenantSign(keyB, value, id2))).rejects.toThrowError(UnauthorizedWriteError);
+    await map.setSigned(keyB, value, id2, sign(keyB, value, id2));
+    await expect(map.deleteSigned(keyB, id2, tenantSign(keyB, id2))).rejects.toThrowError(UnauthorizedWriteError);
+    await expect(map.deleteSigned(keyB, id2, '***')).rejects.toThrowError(InvalidSignatureError);
+    await expect(map.has(keyB)).resolves.toEqual(true);
+    await map.deleteSigned(keyA, id1, tenantSign(keyA, id1));
+    await expect(map.has(keyA)).resolves.toEqual(false);
+    expect(map.isAuthorized(tenantFingerprint, 'tenant:ab')).toEqual(false);
+    await map.shutdown();
+  });
+
+  test('Do not let signers tombstone ids of other keys', async () => {
+    const keyA = `tenant:a:${uuidv4()}`;
+    const keyB = `tenant:b:${uuidv4()}`;
+    const value = generateValue();
+    const aliceKeys = (crypto:any).generateKeyPairSync('ed25519');
+    const bobKeys = (crypto:any).generateKeyPairSync('ed25519');
+    const aliceSign = getSigner(aliceKeys.privateKey, undefined, undefined, 'alice');
+    const bobSign = getSigner(bobKeys.privateKey, undefined, undefined, 'bob');
+    const options = {
+      key,
+      keys: [{ id: 'alice', key: aliceKeys.publicKey }, { id: 'bob', key: bobKeys.publicKey }],
+      permissions: [['tenant:a:', [getFingerprint(aliceKeys.publicKey)]], ['tenant:b:', [getFingerprint(bobKeys.publicKey)]]],
+    };
+    const map = new SignedObservedRemoveMap(db, [], { ...options, namespace: uuidv4() });
+    const replica = new SignedObservedRemoveMap(db, [], { ...options, namespace: uuidv4() });
+    await Promise.all([map.readyPromise, replica.readyPromise]);
+    const id1 = generateId();
+    await map.deleteSigned(keyA, id1, aliceSign(keyA, id1));
+    await map.setSigned(keyB, value, id1, bobSign(keyB, value, id1));
+    await expect(map.get(keyB)).resolves.toEqual(value);
+    await replica.processSigned(await map.dump());
+    await expect(replica.get(keyB)).resolves.toEqual(value);
+    await map.deleteSigned(keyB, id1, bobSign(keyB, id1));
+    const id2 = generateId();
+    await map.setSigned(keyB, value, id2, bobSign(keyB, value, id2));
+    await expect(map.deleteSigned(keyA, id2, aliceSign(keyA, id2))).rejects.toThrowError(UnauthorizedWriteError);
+    await expect(map.get(keyB)).resolves.toEqual(value);
+    await map.deleteSigned(keyB, id2, bobSign(keyB, id2));
+    await expect(map.has(keyB)).resolves.toEqual(false);
+    const [, deleteQueue] = await map.dump();
+    expect(deleteQueue.map(([, id, k]) => [id, k])).toEqual(expect.arrayContaining([[id1, keyB], [id2, keyB]]));
+    await replica.processSigned(await map.dump());
+    await expect(replica.has(keyB)).resolves.toEqual(false);
+    await map.shutdown();
+    await replica.shutdown();
+  });
+
+  test('Apply valid messages from batches with invalid signatures', async () => {
+    const keyX = uuidv4();
+    const keyY = uuidv4();
+    const valueX = generateValue();
+    const valueY = generateValue();
+    const namespace = uuidv4();
+    const map = new SignedObservedRemoveMap(db, [], { key, namespace, skipInvalid: true });
+    const strictMap = new SignedObservedRemoveMap(db, [], { key, namespace: uuidv4() });
+    await Promise.all([map.readyPromise, strictMap.readyPromise]);
+    const invalidSignatures = [];
+    map.on('invalidSignature', (error, message) => invalidSignatures.push([error, message]));
+    const idX = generateId();
+    const idY = generateId();
+    const idZ = generateId();
+    const validInsertion = [sign(keyX, valueX, idX), idX, keyX, valueX];
+    const invalidInsertion = ['***', idY, keyY, valueY];
+    const invalidDeletion = ['***', idZ, keyX];
+    const queue = [[validInsertion, invalidInsertion], [invalidDeletion]];
+    await expect(strictMap.processSigned(queue)).rejects.toThrowError(InvalidSignatureError);
+    await expect(strictMap.has(keyX)).resolves.toEqual(false);
+    await expect(db.get(`${strictMap.namespace}]${idZ}`)).rejects.toThrow();
+    const rejected = await map.processSigned(queue);
+    expect(rejected.map(({ message }) => message)).toEqual([invalidInsertion, invalidDeletion]);
+    expect(rejected[0].error).toBeInstanceOf(InvalidSignatureError);
+    expect(invalidSignatures).toEqual(rejected.map(({ message, error }) => [error, message]));
+    await expect(map.get(keyX)).resolves.toEqual(valueX);
+    await expect(map.has(keyY)).resolves.toEqual(false);
+    await expect(db.get(`${namespace}]${idZ}`)).rejects.toThrow();
+    await expect(map.setSigned(keyY, valueY, idY, '***')).rejects.toThrowError(InvalidSignatureError);
+    await expect(map.processSigned([[invalidInsertion], []])).resolves.toEqual([expect.objectContaining({ message: invalidInsertion })]);
+    await Promise.all([map.shutdown(), strictMap.shutdown()]);
+  });
+
+  test('Load unpublished writes before resolving readyPromise', async () => {
+    const keyX = uuidv4();
+    const valueX = generateValue();
+    const namespace = uuidv4();
+    const alice1 = new SignedObservedRemoveMap(db, [], { key, bufferPublishing: 60000, namespace });
+    await alice1.readyPromise;
+    const idX = generateId();
+    await alice1.setSigned(keyX, valueX, idX, sign(keyX, valueX, idX));
+    clearTimeout(alice1.publishTimeout);
+    await alice1.shutdown();
+    const alice2 = new SignedObservedRemoveMap(db, [], { key, bufferPublishing: 60000, namespace });
+    await alice2.readyPromise;
+    expect(alice2.outboxKeys.length).toEqual(1);
+    expect(alice2.size).toEqual(1);
+    clearTimeout(alice2.publishTimeout);
+    await alice2.shutdown();
+  });
 });